@@ -0,0 +1,223 @@
+/* ========================================
+   BALMA LUXURY EVENT VENUE - AVAILABILITY
+   Description: Booked dates from a static availability.json or .ics file
+   and a small read-only month calendar
+   Needs fetchFile() from data.js and the ISO date helpers and renderMonthGrid()
+   from datepicker.js
+   ======================================== */
+
+// ========================================
+// PARSERS
+// Both return a Set of booked ISO dates (yyyy-mm-dd)
+// ========================================
+
+/**
+ * Add every day from start to end (both inclusive) to a set of ISO dates
+ * @param {Set<string>} dates - Target set
+ * @param {Date} start - First booked day
+ * @param {Date} end - Last booked day
+ */
+function addDateRange(dates, start, end) {
+    for (let day = new Date(start); day <= end; day = addDays(day, 1)) {
+        dates.add(toISODate(day));
+    }
+}
+
+/**
+ * Read booked dates from availability.json
+ * Entries are either an ISO date or a { start, end } range (end inclusive):
+ * { "booked": ["2026-11-14", { "start": "2026-12-24", "end": "2026-12-26" }] }
+ * @param {Object} data - Parsed JSON
+ * @returns {Set<string>}
+ */
+function parseAvailabilityJSON(data) {
+    const dates = new Set();
+
+    (data.booked || []).forEach(entry => {
+        const start = parseISODate(typeof entry === 'string' ? entry : entry.start);
+        const end = typeof entry === 'string' ? start : parseISODate(entry.end || entry.start);
+
+        if (start && end) {
+            addDateRange(dates, start, end);
+        } else {
+            console.warn('Ignoring invalid availability entry:', entry);
+        }
+    });
+
+    return dates;
+}
+
+/**
+ * Parse an iCalendar DATE or DATE-TIME value into a local Date
+ * Only the calendar day matters, so times and time zones are dropped
+ * @param {string} value - e.g. 20261114 or 20261114T180000Z
+ * @returns {Date|null}
+ */
+function parseICSDate(value) {
+    const match = /^(\d{4})(\d{2})(\d{2})/.exec(value || '');
+    return match ? parseISODate(`${match[1]}-${match[2]}-${match[3]}`) : null;
+}
+
+/**
+ * Read booked dates from the VEVENTs of an iCalendar (.ics) file
+ * All-day events end the day before DTEND, as RFC 5545 makes DTEND exclusive
+ * @param {string} text - Raw .ics content
+ * @returns {Set<string>}
+ */
+function parseAvailabilityICS(text) {
+    const dates = new Set();
+    // Unfold continuation lines (CRLF followed by a space or tab)
+    const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+    let event = null;
+
+    lines.forEach(line => {
+        if (line === 'BEGIN:VEVENT') {
+            event = {};
+            return;
+        }
+        if (line === 'END:VEVENT') {
+            const start = parseICSDate(event.DTSTART);
+            let end = parseICSDate(event.DTEND) || start;
+
+            // DATE values: DTEND is the first free day
+            if (event.DTEND && !event.DTEND.includes('T') && end > start) {
+                end = addDays(end, -1);
+            }
+            if (start && event.STATUS !== 'CANCELLED') {
+                addDateRange(dates, start, end);
+            }
+            event = null;
+            return;
+        }
+        if (event) {
+            // NAME;PARAM=...:VALUE -> event.NAME = VALUE
+            const separator = line.indexOf(':');
+            if (separator > 0) {
+                event[line.slice(0, separator).split(';')[0].toUpperCase()] = line.slice(separator + 1).trim();
+            }
+        }
+    });
+
+    return dates;
+}
+
+/**
+ * Fetch and parse the availability file; the parser is chosen by extension
+ * @param {string} url - Path to availability.json or an .ics file
+ * @returns {Promise<Set<string>>}
+ */
+async function loadAvailability(url) {
+    const response = await fetchFile(url);
+    return /\.ics$/i.test(url)
+        ? parseAvailabilityICS(await response.text())
+        : parseAvailabilityJSON(await response.json());
+}
+
+// ========================================
+// MONTH CALENDAR
+// Read-only overview of free and booked days
+// ========================================
+
+/**
+ * Render a small month calendar with previous/next navigation
+ * @param {HTMLElement} container - Element to render into
+ * @param {Object} options
+ * @param {Set<string>} options.bookedDates - Booked ISO dates
+ * @param {string} options.locale - BCP 47 locale for month and day names
+ * @param {number} options.firstDayOfWeek - 0 = Sunday, 1 = Monday
+ * @param {Object} options.labels - { previousMonth, nextMonth, booked, available }
+ * @param {Function} [options.getMinDate] - Days before it are shown as past
+ * @returns {Object} Calendar API: setLocale, setBookedDates
+ */
+function createAvailabilityCalendar(container, options) {
+    let { bookedDates, locale, firstDayOfWeek, labels } = options;
+    const today = new Date();
+    let viewYear = today.getFullYear();
+    let viewMonth = today.getMonth();
+
+    container.innerHTML = `
+        <div class="availability-header">
+            <button type="button" class="availability-nav availability-prev">&#8249;</button>
+            <span class="availability-month" aria-live="polite"></span>
+            <button type="button" class="availability-nav availability-next">&#8250;</button>
+        </div>
+        <table class="availability-grid">
+            <thead><tr></tr></thead>
+            <tbody></tbody>
+        </table>
+        <div class="availability-legend">
+            <span class="availability-legend-item available"></span>
+            <span class="availability-legend-item booked"></span>
+        </div>
+    `;
+
+    const prevButton = container.querySelector('.availability-prev');
+    const nextButton = container.querySelector('.availability-next');
+    const monthLabel = container.querySelector('.availability-month');
+    const grid = container.querySelector('.availability-grid');
+    const legendAvailable = container.querySelector('.availability-legend-item.available');
+    const legendBooked = container.querySelector('.availability-legend-item.booked');
+
+    function render() {
+        const firstOfMonth = new Date(viewYear, viewMonth, 1);
+        const minDate = options.getMinDate ? options.getMinDate() : null;
+        const fullFormat = new Intl.DateTimeFormat(locale, { day: 'numeric', month: 'long' });
+
+        prevButton.setAttribute('aria-label', labels.previousMonth || '');
+        nextButton.setAttribute('aria-label', labels.nextMonth || '');
+        legendAvailable.textContent = labels.available || '';
+        legendBooked.textContent = labels.booked || '';
+        monthLabel.textContent = new Intl.DateTimeFormat(locale, { month: 'long', year: 'numeric' }).format(firstOfMonth);
+
+        // The past holds nothing to book
+        prevButton.disabled = viewYear === today.getFullYear() && viewMonth === today.getMonth();
+
+        renderMonthGrid(grid, {
+            year: viewYear,
+            month: viewMonth,
+            locale,
+            firstDayOfWeek,
+            weekday: 'narrow',
+            createCell(date) {
+                const iso = toISODate(date);
+                const cell = document.createElement('td');
+                cell.textContent = date.getDate();
+
+                if (minDate && date < minDate) {
+                    cell.className = 'past';
+                } else if (bookedDates.has(iso)) {
+                    cell.className = 'booked';
+                    cell.setAttribute('aria-label', `${fullFormat.format(date)}, ${labels.booked}`);
+                } else {
+                    cell.className = 'available';
+                }
+                return cell;
+            }
+        });
+    }
+
+    function moveMonth(offset) {
+        const target = new Date(viewYear, viewMonth + offset, 1);
+        viewYear = target.getFullYear();
+        viewMonth = target.getMonth();
+        render();
+    }
+
+    prevButton.addEventListener('click', () => moveMonth(-1));
+    nextButton.addEventListener('click', () => moveMonth(1));
+
+    render();
+
+    return {
+        setLocale(newLocale, newFirstDayOfWeek, newLabels) {
+            locale = newLocale;
+            firstDayOfWeek = newFirstDayOfWeek;
+            labels = newLabels;
+            render();
+        },
+        setBookedDates(dates) {
+            bookedDates = dates;
+            render();
+        }
+    };
+}
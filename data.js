@@ -0,0 +1,26 @@
+/* ========================================
+   BALMA LUXURY EVENT VENUE - DATA FILES
+   Description: Fetches the static files the page is built from
+   (locales/, data/), always revalidated so edits show up on the next visit
+   ======================================== */
+
+/**
+ * Fetch a file, failing on HTTP errors (fetch itself only rejects on network errors)
+ * @param {string} url
+ * @returns {Promise<Response>}
+ */
+async function fetchFile(url) {
+    const response = await fetch(url, { cache: 'no-cache' });
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+    return response;
+}
+
+/**
+ * @param {string} url - Path to a JSON file
+ * @returns {Promise<*>} Parsed content
+ */
+async function fetchJSON(url) {
+    return (await fetchFile(url)).json();
+}
@@ -0,0 +1,424 @@
+/* ========================================
+   BALMA LUXURY EVENT VENUE - DATE PICKER
+   Description: Accessible calendar popup for date fields
+   The value is kept as an ISO date (yyyy-mm-dd); only the display is localized
+   ======================================== */
+
+// ========================================
+// ISO DATE HELPERS
+// Local-time conversions (no UTC shift around midnight)
+// ========================================
+
+/**
+ * Format a Date as an ISO calendar date (yyyy-mm-dd) in local time
+ * @param {Date} date - Date to format
+ * @returns {string}
+ */
+function toISODate(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Parse an ISO calendar date (yyyy-mm-dd) into a local Date at midnight
+ * @param {string} value - ISO date string
+ * @returns {Date|null} The date, or null if the value is not a real calendar date
+ */
+function parseISODate(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+    if (!match) {
+        return null;
+    }
+
+    const year = parseInt(match[1], 10);
+    const month = parseInt(match[2], 10) - 1; // JS months are 0-indexed
+    const day = parseInt(match[3], 10);
+    const date = new Date(year, month, day);
+
+    // Reject overflowing dates such as 2025-02-31
+    if (date.getFullYear() !== year || date.getMonth() !== month || date.getDate() !== day) {
+        return null;
+    }
+    return date;
+}
+
+/**
+ * Return a new Date moved by a number of days
+ * @param {Date} date - Start date
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {Date}
+ */
+function addDays(date, days) {
+    const result = new Date(date);
+    result.setDate(result.getDate() + days);
+    return result;
+}
+
+// ========================================
+// MONTH GRID
+// Shared by the date picker and the availability calendar
+// ========================================
+
+/**
+ * Fill a calendar table: weekday names in the header, one row per week in the body
+ * @param {HTMLTableElement} table - Table with a <thead><tr> and a <tbody>
+ * @param {Object} options
+ * @param {number} options.year
+ * @param {number} options.month - 0-indexed
+ * @param {string} options.locale - BCP 47 locale for the weekday names
+ * @param {number} options.firstDayOfWeek - 0 = Sunday, 1 = Monday
+ * @param {string} [options.weekday] - Intl weekday style shown in the header (default 'short')
+ * @param {Function} options.createCell - Receives the Date of a day, returns its <td>
+ */
+function renderMonthGrid(table, options) {
+    const { year, month, locale, firstDayOfWeek, createCell } = options;
+    const headRow = table.querySelector('thead tr');
+    const body = table.querySelector('tbody');
+    const longFormat = new Intl.DateTimeFormat(locale, { weekday: 'long' });
+    const shortFormat = new Intl.DateTimeFormat(locale, { weekday: options.weekday || 'short' });
+    // 2024-01-07 was a Sunday: offset from it to get each weekday
+    const sunday = new Date(2024, 0, 7);
+
+    headRow.innerHTML = '';
+    for (let i = 0; i < 7; i++) {
+        const day = addDays(sunday, (firstDayOfWeek + i) % 7);
+        const th = document.createElement('th');
+        th.scope = 'col';
+        th.abbr = longFormat.format(day);
+        th.textContent = shortFormat.format(day);
+        headRow.appendChild(th);
+    }
+
+    const leading = (new Date(year, month, 1).getDay() - firstDayOfWeek + 7) % 7;
+    const daysInMonth = new Date(year, month + 1, 0).getDate();
+
+    body.innerHTML = '';
+    let row = document.createElement('tr');
+    for (let i = 0; i < leading; i++) {
+        row.appendChild(document.createElement('td'));
+    }
+
+    for (let day = 1; day <= daysInMonth; day++) {
+        row.appendChild(createCell(new Date(year, month, day)));
+        if (row.children.length === 7) {
+            body.appendChild(row);
+            row = document.createElement('tr');
+        }
+    }
+    if (row.children.length > 0) {
+        body.appendChild(row);
+    }
+}
+
+// ========================================
+// DATE PICKER COMPONENT
+// ========================================
+
+/**
+ * Attach a calendar popup to a read-only text input
+ * The display input shows the localized date; the ISO value goes to a hidden input
+ * @param {HTMLInputElement} input - Visible input that opens the calendar
+ * @param {HTMLInputElement} valueInput - Hidden input submitted with the form
+ * @param {Object} options
+ * @param {string} options.locale - BCP 47 locale for month and day names
+ * @param {number} options.firstDayOfWeek - 0 = Sunday, 1 = Monday
+ * @param {Object} options.labels - { dialog, previousMonth, nextMonth, unavailable }
+ * @param {Function} [options.getMinDate] - Returns the first selectable Date
+ * @param {Function} [options.isDateDisabled] - Receives an ISO date, returns true to block it
+ * @returns {Object} Picker API: open, close, isOpen, getValue, setValue, setLocale, refresh
+ */
+function createDatePicker(input, valueInput, options) {
+    let locale = options.locale;
+    let firstDayOfWeek = options.firstDayOfWeek;
+    let labels = options.labels;
+    let selectedISO = null;
+    let focusedDate = null;     // Day that owns the roving tabindex
+    let viewYear;
+    let viewMonth;
+
+    const pickerId = `${input.id}-picker`;
+
+    // Build the popup once; its grid is re-rendered on every change
+    const popup = document.createElement('div');
+    popup.className = 'datepicker';
+    popup.id = pickerId;
+    popup.setAttribute('role', 'dialog');
+    popup.hidden = true;
+    popup.innerHTML = `
+        <div class="datepicker-header">
+            <button type="button" class="datepicker-nav datepicker-prev">&#8249;</button>
+            <span class="datepicker-month" aria-live="polite"></span>
+            <button type="button" class="datepicker-nav datepicker-next">&#8250;</button>
+        </div>
+        <table class="datepicker-grid" role="grid">
+            <thead><tr></tr></thead>
+            <tbody></tbody>
+        </table>
+    `;
+    input.insertAdjacentElement('afterend', popup);
+
+    const monthLabel = popup.querySelector('.datepicker-month');
+    const prevButton = popup.querySelector('.datepicker-prev');
+    const nextButton = popup.querySelector('.datepicker-next');
+    const grid = popup.querySelector('.datepicker-grid');
+    const body = grid.querySelector('tbody');
+
+    input.readOnly = true;
+    input.setAttribute('aria-haspopup', 'dialog');
+    input.setAttribute('aria-controls', pickerId);
+    input.setAttribute('aria-expanded', 'false');
+
+    function getMinDate() {
+        return options.getMinDate ? options.getMinDate() : null;
+    }
+
+    function isSelectable(date) {
+        const minDate = getMinDate();
+        if (minDate && date < minDate) {
+            return false;
+        }
+        return !(options.isDateDisabled && options.isDateDisabled(toISODate(date)));
+    }
+
+    function formatDisplay(date) {
+        return new Intl.DateTimeFormat(locale, { day: 'numeric', month: 'long', year: 'numeric' }).format(date);
+    }
+
+    function applyLabels() {
+        // Labels may still be missing while the translations load
+        [[popup, labels.dialog], [prevButton, labels.previousMonth], [nextButton, labels.nextMonth]]
+            .forEach(([element, label]) => {
+                if (label) {
+                    element.setAttribute('aria-label', label);
+                }
+            });
+    }
+
+    function renderMonth() {
+        const firstOfMonth = new Date(viewYear, viewMonth, 1);
+        const todayISO = toISODate(new Date());
+        const fullFormat = new Intl.DateTimeFormat(locale, { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' });
+
+        monthLabel.textContent = new Intl.DateTimeFormat(locale, { month: 'long', year: 'numeric' }).format(firstOfMonth);
+
+        // Nothing before the minimum date can be picked, so don't page into it
+        const minDate = getMinDate();
+        prevButton.disabled = Boolean(minDate) &&
+            (viewYear < minDate.getFullYear() || (viewYear === minDate.getFullYear() && viewMonth <= minDate.getMonth()));
+
+        renderMonthGrid(grid, {
+            year: viewYear,
+            month: viewMonth,
+            locale,
+            firstDayOfWeek,
+            createCell(date) {
+                const iso = toISODate(date);
+                const selectable = isSelectable(date);
+
+                const cell = document.createElement('td');
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'datepicker-day';
+                button.textContent = date.getDate();
+                button.setAttribute('data-date', iso);
+                button.setAttribute('tabindex', iso === toISODate(focusedDate) ? '0' : '-1');
+                button.setAttribute('aria-selected', iso === selectedISO ? 'true' : 'false');
+                button.setAttribute('aria-label', selectable ? fullFormat.format(date) : `${fullFormat.format(date)}, ${labels.unavailable}`);
+
+                if (!selectable) {
+                    button.setAttribute('aria-disabled', 'true');
+                    button.classList.add('disabled');
+                }
+                if (iso === todayISO) {
+                    button.setAttribute('aria-current', 'date');
+                }
+
+                cell.setAttribute('role', 'gridcell');
+                cell.appendChild(button);
+                return cell;
+            }
+        });
+    }
+
+    function focusDate(date) {
+        focusedDate = date;
+        if (date.getFullYear() !== viewYear || date.getMonth() !== viewMonth) {
+            viewYear = date.getFullYear();
+            viewMonth = date.getMonth();
+        }
+        renderMonth();
+
+        const button = body.querySelector(`[data-date="${toISODate(date)}"]`);
+        if (button) {
+            button.focus();
+        }
+    }
+
+    function moveMonth(offset) {
+        const target = new Date(focusedDate.getFullYear(), focusedDate.getMonth() + offset, 1);
+        // Keep the same day where possible (31 Jan -> 28/29 Feb)
+        const lastDay = new Date(target.getFullYear(), target.getMonth() + 1, 0).getDate();
+        target.setDate(Math.min(focusedDate.getDate(), lastDay));
+
+        const minDate = getMinDate();
+        focusDate(minDate && target < minDate ? minDate : target);
+    }
+
+    function selectDate(date) {
+        if (!isSelectable(date)) {
+            return;
+        }
+        setValue(toISODate(date));
+        close();
+        input.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+
+    function open() {
+        if (!popup.hidden) {
+            return;
+        }
+
+        const minDate = getMinDate();
+        const selected = parseISODate(selectedISO);
+        focusedDate = selected || (minDate && minDate > new Date() ? minDate : new Date());
+        focusedDate.setHours(0, 0, 0, 0);
+        viewYear = focusedDate.getFullYear();
+        viewMonth = focusedDate.getMonth();
+
+        popup.hidden = false;
+        input.setAttribute('aria-expanded', 'true');
+        focusDate(focusedDate);
+    }
+
+    function close(restoreFocus) {
+        if (popup.hidden) {
+            return;
+        }
+        popup.hidden = true;
+        input.setAttribute('aria-expanded', 'false');
+        if (restoreFocus) {
+            input.focus();
+        }
+    }
+
+    function isOpen() {
+        return !popup.hidden;
+    }
+
+    function getValue() {
+        return selectedISO;
+    }
+
+    /**
+     * Set the ISO value (or clear it with null / '')
+     */
+    function setValue(iso) {
+        const date = parseISODate(iso);
+        selectedISO = date ? toISODate(date) : null;
+        valueInput.value = selectedISO || '';
+        input.value = date ? formatDisplay(date) : '';
+    }
+
+    /**
+     * Switch month/day names and labels; the ISO value is untouched
+     */
+    function setLocale(newLocale, newFirstDayOfWeek, newLabels) {
+        locale = newLocale;
+        firstDayOfWeek = newFirstDayOfWeek;
+        labels = newLabels;
+        applyLabels();
+        setValue(selectedISO);
+        if (isOpen()) {
+            renderMonth();
+        }
+    }
+
+    /**
+     * Re-render after the disabled days changed (e.g. new availability data)
+     */
+    function refresh() {
+        if (isOpen()) {
+            renderMonth();
+        }
+    }
+
+    // Open on click or from the keyboard
+    input.addEventListener('click', open);
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' || e.key === ' ' || e.key === 'ArrowDown') {
+            e.preventDefault();
+            open();
+        } else if (e.key === 'Escape') {
+            close();
+        }
+    });
+
+    prevButton.addEventListener('click', () => moveMonth(-1));
+    nextButton.addEventListener('click', () => moveMonth(1));
+
+    body.addEventListener('click', (e) => {
+        const button = e.target.closest('.datepicker-day');
+        if (button) {
+            selectDate(parseISODate(button.getAttribute('data-date')));
+        }
+    });
+
+    // Grid keyboard navigation (WAI-ARIA date picker pattern)
+    popup.addEventListener('keydown', (e) => {
+        const inGrid = e.target.classList.contains('datepicker-day');
+
+        switch (e.key) {
+            case 'Escape':
+                e.preventDefault();
+                close(true);
+                return;
+            case 'PageUp':
+                e.preventDefault();
+                moveMonth(e.shiftKey ? -12 : -1);
+                return;
+            case 'PageDown':
+                e.preventDefault();
+                moveMonth(e.shiftKey ? 12 : 1);
+                return;
+        }
+
+        if (!inGrid) {
+            return;
+        }
+
+        const weekday = (focusedDate.getDay() - firstDayOfWeek + 7) % 7;
+        const moves = {
+            ArrowLeft: -1,
+            ArrowRight: 1,
+            ArrowUp: -7,
+            ArrowDown: 7,
+            Home: -weekday,
+            End: 6 - weekday
+        };
+
+        if (e.key in moves) {
+            e.preventDefault();
+            focusDate(addDays(focusedDate, moves[e.key]));
+        } else if (e.key === 'Enter' || e.key === ' ') {
+            e.preventDefault();
+            selectDate(focusedDate);
+        }
+    });
+
+    // Close when focus or a click leaves the field and its calendar
+    document.addEventListener('click', (e) => {
+        if (isOpen() && !popup.contains(e.target) && e.target !== input) {
+            close();
+        }
+    });
+    popup.addEventListener('focusout', (e) => {
+        if (e.relatedTarget && !popup.contains(e.relatedTarget) && e.relatedTarget !== input) {
+            close();
+        }
+    });
+
+    applyLabels();
+
+    return { open, close, isOpen, getValue, setValue, setLocale, refresh };
+}
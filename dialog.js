@@ -0,0 +1,121 @@
+/* ========================================
+   BALMA LUXURY EVENT VENUE - MODAL DIALOGS
+   Description: Focus handling shared by the overlays (lightbox, popups):
+   focus moves into the dialog, Tab stays inside it and focus returns
+   to where it was once the dialog closes
+   ======================================== */
+
+const FOCUSABLE_SELECTOR = [
+    'a[href]',
+    'button:not([disabled])',
+    'input:not([disabled]):not([type="hidden"])',
+    'select:not([disabled])',
+    'textarea:not([disabled])',
+    '[tabindex]:not([tabindex="-1"])'
+].join(', ');
+
+/**
+ * Elements Tab can reach inside a container, in document order
+ * @param {HTMLElement} container
+ * @returns {HTMLElement[]}
+ */
+function getFocusableElements(container) {
+    return Array.from(container.querySelectorAll(FOCUSABLE_SELECTOR))
+        .filter(element => !element.closest('[hidden], [aria-hidden="true"]'));
+}
+
+/**
+ * Turn an overlay into a modal dialog
+ * Showing and hiding the overlay stays with the caller: call open() once it
+ * is visible and close() when it is hidden
+ * @param {HTMLElement} dialog - Overlay element
+ * @param {Object} [options]
+ * @param {Function} [options.onEscape] - Called when Escape is pressed inside the dialog
+ * @param {Function} [options.getInitialFocus] - Returns the element to focus on open
+ *   (default: the first focusable element)
+ * @returns {Object} Dialog API: open, close, isOpen
+ */
+function createModalDialog(dialog, options = {}) {
+    let returnFocusTo = null;
+    let isOpen = false;
+
+    dialog.setAttribute('role', 'dialog');
+    dialog.setAttribute('aria-modal', 'true');
+    // Lets the dialog itself hold focus when nothing inside can
+    if (!dialog.hasAttribute('tabindex')) {
+        dialog.setAttribute('tabindex', '-1');
+    }
+
+    dialog.addEventListener('keydown', (e) => {
+        if (!isOpen) {
+            return;
+        }
+        if (e.key === 'Escape' && options.onEscape) {
+            e.preventDefault();
+            options.onEscape();
+            return;
+        }
+        if (e.key !== 'Tab') {
+            return;
+        }
+
+        const focusable = getFocusableElements(dialog);
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+
+        if (!first) {
+            e.preventDefault();
+            dialog.focus();
+        } else if (e.shiftKey && (document.activeElement === first || document.activeElement === dialog)) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    });
+
+    // Focus that lands outside (e.g. from a screen reader shortcut) is brought back
+    document.addEventListener('focusin', (e) => {
+        if (isOpen && !dialog.contains(e.target)) {
+            (getFocusableElements(dialog)[0] || dialog).focus();
+        }
+    });
+
+    return {
+        /**
+         * Remember the focused element and move focus into the dialog
+         */
+        open() {
+            if (!isOpen) {
+                returnFocusTo = document.activeElement;
+            }
+            isOpen = true;
+
+            const initial = (options.getInitialFocus && options.getInitialFocus())
+                || getFocusableElements(dialog)[0]
+                || dialog;
+            initial.focus();
+        },
+
+        /**
+         * @param {Object} [closeOptions]
+         * @param {boolean} [closeOptions.restoreFocus] - Give focus back to the
+         *   element that had it before opening (default true)
+         */
+        close({ restoreFocus = true } = {}) {
+            if (!isOpen) {
+                return;
+            }
+            isOpen = false;
+
+            // The opener may have been hidden or removed in the meantime
+            if (restoreFocus && returnFocusTo && returnFocusTo.isConnected && !returnFocusTo.closest('[hidden]')) {
+                returnFocusTo.focus();
+            }
+            returnFocusTo = null;
+        },
+
+        isOpen: () => isOpen
+    };
+}
@@ -0,0 +1,83 @@
+/* ========================================
+   BALMA LUXURY EVENT VENUE - QUOTE ESTIMATOR
+   Description: Indicative price range from the price table in data/prices.json
+   Every amount in the table is a [min, max] pair in whole euros
+   The page only shows the estimate once the venue has checked the amounts
+   and "confirmed" is set to true in the table
+   ======================================== */
+
+/**
+ * Fetch the price table
+ * @param {string} url - Path to prices.json
+ * @returns {Promise<Object>}
+ */
+async function loadPrices(url) {
+    return fetchJSON(url);
+}
+
+/**
+ * @param {Object} prices - Price table
+ * @param {Date} date - Event day
+ * @returns {string} 'weekend' or 'weekday'
+ */
+function getDayType(prices, date) {
+    return prices.weekendDays.includes(date.getDay()) ? 'weekend' : 'weekday';
+}
+
+/**
+ * Compute the estimate for a request
+ * Lines carry an id and parameters rather than text, so the caller can word
+ * them in any language
+ * @param {Object} prices - Price table
+ * @param {Object} request
+ * @param {Date|null} request.date - Event day
+ * @param {string} request.duration - Key of prices.rental (e.g. 'halfDay')
+ * @param {number} request.guests - Expected guests
+ * @param {string} [request.catering] - Key of prices.perGuest.catering, if any
+ * @param {string[]} [request.addOns] - Keys of prices.addOns
+ * @returns {Object|null} { lines: [{ id, params, min, max }], min, max },
+ *   or null until date, duration and guests are known
+ */
+function estimateQuote(prices, request) {
+    const rental = prices.rental[request.duration];
+    const guests = Math.floor(request.guests);
+
+    if (!request.date || !rental || !(guests > 0)) {
+        return null;
+    }
+
+    const dayType = getDayType(prices, request.date);
+    const lines = [
+        { id: 'rental', params: { duration: request.duration, dayType }, range: rental[dayType] },
+        { id: 'service', params: { guests }, range: prices.perGuest.service.map(amount => amount * guests) }
+    ];
+
+    const catering = prices.perGuest.catering[request.catering];
+    if (catering) {
+        lines.push({ id: 'catering', params: { catering: request.catering, guests }, range: catering.map(amount => amount * guests) });
+    }
+
+    (request.addOns || []).forEach(addOn => {
+        if (prices.addOns[addOn]) {
+            lines.push({ id: 'addOn', params: { addOn }, range: prices.addOns[addOn] });
+        }
+    });
+
+    return {
+        lines: lines.map(({ id, params, range }) => ({ id, params, min: range[0], max: range[1] })),
+        min: lines.reduce((sum, line) => sum + line.range[0], 0),
+        max: lines.reduce((sum, line) => sum + line.range[1], 0)
+    };
+}
+
+/**
+ * @param {number} min
+ * @param {number} max
+ * @param {string} locale - BCP 47 locale
+ * @param {string} currency - ISO 4217 code
+ * @returns {string} e.g. "€ 1.200 – € 1.650"
+ */
+function formatPriceRange(min, max, locale, currency) {
+    const format = new Intl.NumberFormat(locale, { style: 'currency', currency, maximumFractionDigits: 0 });
+    return min === max ? format.format(min) : `${format.format(min)} – ${format.format(max)}`;
+}
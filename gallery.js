@@ -0,0 +1,89 @@
+/* ========================================
+   BALMA LUXURY EVENT VENUE - GALLERY MANIFEST
+   Description: Photos of the gallery from data/gallery.json
+   Adding a photo means adding one entry to the manifest
+   ======================================== */
+
+// Photos are described in Italian and English; the other languages get English
+const GALLERY_FALLBACK_LANGS = ['en', 'it'];
+
+// Filter chips, in display order; an image's "category" is one of these
+const GALLERY_CATEGORIES = ['interni', 'esterno', 'giardino', 'dettagli'];
+
+/**
+ * Read the manifest
+ * Each image has a src, a category and texts keyed by language code: alt,
+ * caption (the short title on the grid and in the lightbox) and optionally
+ * a description. Also optional: width and height (they only reserve space
+ * while loading), the photographer credit and the type of event pictured,
+ * as an id of the contact form's event types
+ * @param {Object} data - Parsed JSON
+ * @returns {Object[]} Images: { index, src, width, height, category, alt, caption,
+ *   description, credit, eventType }
+ */
+function parseGalleryManifest(data) {
+    return (data.images || [])
+        .filter(image => {
+            if (!image.src) {
+                console.warn('Ignoring gallery image without src:', image);
+                return false;
+            }
+            return true;
+        })
+        .map((image, index) => ({
+            index,
+            src: image.src,
+            width: image.width || null,
+            height: image.height || null,
+            category: image.category || null,
+            alt: image.alt || {},
+            caption: image.caption || {},
+            description: image.description || {},
+            credit: image.credit || '',
+            eventType: image.eventType || null
+        }));
+}
+
+/**
+ * Fetch and parse the manifest
+ * @param {string} url - Path to gallery.json
+ * @returns {Promise<Object[]>} Images from parseGalleryManifest()
+ */
+async function loadGalleryManifest(url) {
+    return parseGalleryManifest(await fetchJSON(url));
+}
+
+/**
+ * Pick the text for a language from a { it, en, ... } object
+ * @param {Object|string} texts - Texts by language code (a plain string is used as is)
+ * @param {string} lang - Language code
+ * @returns {string} Empty if no language has a text
+ */
+function getGalleryText(texts, lang) {
+    if (typeof texts === 'string') {
+        return texts;
+    }
+    const match = [lang, ...GALLERY_FALLBACK_LANGS].find(code => texts[code]);
+    return match ? texts[match] : '';
+}
+
+/**
+ * @param {Object[]} images - Images from parseGalleryManifest()
+ * @param {string} category - One of GALLERY_CATEGORIES, or '' for all
+ * @returns {Object[]} Images of that category, in manifest order
+ */
+function filterGalleryImages(images, category) {
+    return category ? images.filter(image => image.category === category) : images;
+}
+
+/**
+ * @param {Object[]} images - Images from parseGalleryManifest()
+ * @returns {Object} Number of images by category (every category present, possibly 0)
+ */
+function countGalleryCategories(images) {
+    const counts = {};
+    GALLERY_CATEGORIES.forEach(category => {
+        counts[category] = filterGalleryImages(images, category).length;
+    });
+    return counts;
+}
@@ -0,0 +1,451 @@
+/* ========================================
+   BALMA LUXURY EVENT VENUE - IMAGE GESTURES
+   Description: Pointer Events gestures for a full-screen image:
+   swipe to change image, pinch and double-tap to zoom, drag to pan
+   with momentum, and snap-back animations at the edges
+   ======================================== */
+
+const GESTURE_MAX_SCALE = 4;
+const GESTURE_DOUBLE_TAP_SCALE = 2.5;
+const GESTURE_DOUBLE_TAP_DELAY = 300;     // ms between the two taps
+const GESTURE_TAP_SLOP = 10;              // px a tap may move before it becomes a drag
+const GESTURE_SWIPE_DISTANCE = 0.2;       // share of the container width...
+const GESTURE_SWIPE_VELOCITY = 0.5;       // ...or px/ms that changes image
+const GESTURE_OVERSCROLL_RESISTANCE = 0.3;
+const GESTURE_FRICTION = 0.95;            // velocity kept per 16 ms of momentum
+const GESTURE_SNAP_DURATION = 250;        // ms
+const GESTURE_VELOCITY_WINDOW = 100;      // ms of movement the release speed is measured on
+
+// ========================================
+// GEOMETRY HELPERS
+// ========================================
+
+/**
+ * @param {Object} a - Point { x, y }
+ * @param {Object} b - Point { x, y }
+ * @returns {number} Distance in px
+ */
+function getPointDistance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+/**
+ * @param {Object} a - Point { x, y }
+ * @param {Object} b - Point { x, y }
+ * @returns {Object} Point halfway between them
+ */
+function getMidpoint(a, b) {
+    return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+}
+
+/**
+ * Speed of a pointer from its recent positions
+ * @param {Object[]} samples - { x, y, time } in chronological order
+ * @param {number} now - Release time
+ * @param {number} [windowMs] - Only positions this recent count
+ * @returns {Object} { x, y } in px/ms, zero if the pointer had stopped
+ */
+function getPointerVelocity(samples, now, windowMs = GESTURE_VELOCITY_WINDOW) {
+    const recent = samples.filter(sample => now - sample.time <= windowMs);
+    const first = recent[0];
+    const last = recent[recent.length - 1];
+
+    if (recent.length < 2 || last.time === first.time) {
+        return { x: 0, y: 0 };
+    }
+    return {
+        x: (last.x - first.x) / (last.time - first.time),
+        y: (last.y - first.y) / (last.time - first.time)
+    };
+}
+
+/**
+ * How far a scaled image can move before an edge comes into view
+ * @param {Object} imageSize - Unscaled { width, height }
+ * @param {Object} viewportSize - { width, height } of the area it is shown in
+ * @param {number} scale
+ * @returns {Object} { x, y }: the translation stays within [-x, x] and [-y, y]
+ */
+function getPanLimits(imageSize, viewportSize, scale) {
+    return {
+        x: Math.max(0, (imageSize.width * scale - viewportSize.width) / 2),
+        y: Math.max(0, (imageSize.height * scale - viewportSize.height) / 2)
+    };
+}
+
+/**
+ * Translation that keeps the image point under `focus` in place while zooming
+ * The transform is translate(x, y) scale(s) around the image centre
+ * @param {Object} transform - Current { x, y, scale }
+ * @param {Object} focus - Point relative to the untransformed image centre
+ * @param {number} scale - New scale
+ * @returns {Object} New { x, y, scale }
+ */
+function zoomAround(transform, focus, scale) {
+    const ratio = scale / transform.scale;
+    return {
+        x: focus.x - (focus.x - transform.x) * ratio,
+        y: focus.y - (focus.y - transform.y) * ratio,
+        scale
+    };
+}
+
+// ========================================
+// GESTURE CONTROLLER
+// ========================================
+
+/**
+ * Add touch, pen and mouse gestures to an image inside a container
+ * The container receives the pointers and gets the class "is-zoomed"
+ * while the image is enlarged
+ * @param {HTMLElement} container - Element covering the gesture area
+ * @param {HTMLImageElement} image - Image centred in the container
+ * @param {Object} options
+ * @param {Function} options.onSwipe - Called with 'next' or 'prev' to change image
+ * @returns {Object} API: reset, isZoomed
+ */
+function createImageGestures(container, image, options) {
+    const pointers = new Map();     // pointerId -> { x, y } of the active pointers
+    const reduceMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
+    let transform = { x: 0, y: 0, scale: 1 };
+    let gesture = null;             // State of the drag or pinch in progress
+    let lastTap = null;             // { x, y, time } of the previous tap
+    let momentumFrame = null;
+    let suppressClick = false;
+
+    // ----- Rendering -----
+
+    function render(duration = 0) {
+        image.style.transition = duration ? `transform ${duration}ms ease-out` : 'none';
+        image.style.transform = `translate(${transform.x}px, ${transform.y}px) scale(${transform.scale})`;
+        container.classList.toggle('is-zoomed', transform.scale > 1);
+    }
+
+    function stopMomentum() {
+        cancelAnimationFrame(momentumFrame);
+        momentumFrame = null;
+    }
+
+    function getLimits(scale = transform.scale) {
+        return getPanLimits(
+            { width: image.offsetWidth, height: image.offsetHeight },
+            { width: container.clientWidth, height: container.clientHeight },
+            scale
+        );
+    }
+
+    /**
+     * Keep the image within its limits; between 1 and the max scale
+     */
+    function clampTransform(value) {
+        const scale = Math.min(Math.max(value.scale, 1), GESTURE_MAX_SCALE);
+        const limits = getLimits(scale);
+        return {
+            x: Math.min(Math.max(value.x, -limits.x), limits.x),
+            y: Math.min(Math.max(value.y, -limits.y), limits.y),
+            scale
+        };
+    }
+
+    /**
+     * Past an edge the image follows the finger only partly (rubber band)
+     */
+    function resist(value, limit) {
+        if (value > limit) {
+            return limit + (value - limit) * GESTURE_OVERSCROLL_RESISTANCE;
+        }
+        if (value < -limit) {
+            return -limit + (value + limit) * GESTURE_OVERSCROLL_RESISTANCE;
+        }
+        return value;
+    }
+
+    function snapBack() {
+        transform = clampTransform(transform);
+        render(GESTURE_SNAP_DURATION);
+    }
+
+    /**
+     * Point relative to the untransformed image centre (the container centre)
+     */
+    function toImagePoint(point) {
+        const rect = container.getBoundingClientRect();
+        return { x: point.x - rect.left - rect.width / 2, y: point.y - rect.top - rect.height / 2 };
+    }
+
+    // ----- Zoom -----
+
+    function zoomTo(scale, point) {
+        stopMomentum();
+        transform = clampTransform(zoomAround(transform, toImagePoint(point), scale));
+        render(GESTURE_SNAP_DURATION);
+    }
+
+    function toggleZoom(point) {
+        zoomTo(transform.scale > 1 ? 1 : GESTURE_DOUBLE_TAP_SCALE, point);
+    }
+
+    // ----- Swipe -----
+
+    /**
+     * Slide the current image out, let the caller swap it, slide the new one in
+     * @param {string} direction - 'next' or 'prev'
+     */
+    function swipe(direction) {
+        const width = container.clientWidth;
+        const sign = direction === 'next' ? -1 : 1;
+        const duration = reduceMotion.matches ? 0 : GESTURE_SNAP_DURATION;
+
+        transform = { x: sign * width, y: 0, scale: 1 };
+        render(duration);
+
+        setTimeout(() => {
+            options.onSwipe(direction);
+            // The new image enters from the opposite side
+            transform = { x: -sign * width * 0.3, y: 0, scale: 1 };
+            render();
+            // Apply the start position before animating from it
+            void image.offsetWidth;
+            transform = { x: 0, y: 0, scale: 1 };
+            render(duration);
+        }, duration);
+    }
+
+    function endSwipe(dx, velocity) {
+        const isFarEnough = Math.abs(dx) > container.clientWidth * GESTURE_SWIPE_DISTANCE;
+        const isFastEnough = Math.abs(velocity) > GESTURE_SWIPE_VELOCITY;
+
+        // A fast flick counts only in the direction it was moving
+        if (isFarEnough || (isFastEnough && Math.sign(velocity) === Math.sign(dx))) {
+            swipe(dx < 0 ? 'next' : 'prev');
+        } else {
+            snapBack();
+        }
+    }
+
+    // ----- Momentum -----
+
+    /**
+     * Keep a zoomed image gliding after a pan, slowing down until it stops
+     * or reaches an edge
+     * @param {Object} velocity - { x, y } in px/ms
+     */
+    function startMomentum(velocity) {
+        const limits = getLimits();
+        const isOutOfBounds = Math.abs(transform.x) > limits.x || Math.abs(transform.y) > limits.y;
+
+        if (reduceMotion.matches || isOutOfBounds) {
+            snapBack();
+            return;
+        }
+
+        let { x: vx, y: vy } = velocity;
+        let previous = performance.now();
+
+        const step = now => {
+            const elapsed = Math.min(now - previous, 50);
+            const decay = Math.pow(GESTURE_FRICTION, elapsed / 16);
+            previous = now;
+
+            const moved = { x: transform.x + vx * elapsed, y: transform.y + vy * elapsed, scale: transform.scale };
+            const next = clampTransform(moved);
+            // Hitting an edge stops that axis
+            if (next.x !== moved.x) {
+                vx = 0;
+            }
+            if (next.y !== moved.y) {
+                vy = 0;
+            }
+            vx *= decay;
+            vy *= decay;
+
+            transform = next;
+            render();
+
+            momentumFrame = Math.hypot(vx, vy) > 0.02 ? requestAnimationFrame(step) : null;
+        };
+        momentumFrame = requestAnimationFrame(step);
+    }
+
+    // ----- Pointer handling -----
+
+    function startGesture() {
+        const points = Array.from(pointers.values());
+
+        if (points.length >= 2) {
+            gesture = {
+                type: 'pinch',
+                startDistance: getPointDistance(points[0], points[1]),
+                startTransform: { ...transform },
+                startFocus: toImagePoint(getMidpoint(points[0], points[1])),
+                moved: true
+            };
+        } else {
+            gesture = {
+                type: transform.scale > 1 ? 'pan' : 'swipe',
+                start: { ...points[0] },
+                startTransform: { ...transform },
+                samples: [{ ...points[0], time: performance.now() }],
+                moved: false
+            };
+        }
+    }
+
+    function onPointerDown(e) {
+        // Buttons keep their own behaviour; the mouse only drags with the main button
+        if (e.target.closest('button') || (e.pointerType === 'mouse' && e.button !== 0)) {
+            return;
+        }
+
+        stopMomentum();
+        suppressClick = false;
+        pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        container.setPointerCapture(e.pointerId);
+        startGesture();
+        // With the pointer captured, pointerup and click target the container:
+        // remember what was actually touched
+        gesture.target = e.target;
+        image.style.transition = 'none';
+    }
+
+    function onPointerMove(e) {
+        if (!pointers.has(e.pointerId)) {
+            return;
+        }
+        pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        e.preventDefault();
+
+        if (gesture.type === 'pinch') {
+            movePinch();
+        } else {
+            moveDrag(pointers.get(e.pointerId));
+        }
+    }
+
+    function movePinch() {
+        const points = Array.from(pointers.values());
+        const distance = getPointDistance(points[0], points[1]);
+        // Allow a little under-zoom while pinching, it bounces back on release
+        const scale = Math.min(Math.max(gesture.startTransform.scale * distance / gesture.startDistance, 0.8), GESTURE_MAX_SCALE * 1.2);
+        const focus = toImagePoint(getMidpoint(points[0], points[1]));
+        const zoomed = zoomAround(gesture.startTransform, gesture.startFocus, scale);
+
+        // The image also follows the fingers as they move together
+        transform = {
+            x: zoomed.x + focus.x - gesture.startFocus.x,
+            y: zoomed.y + focus.y - gesture.startFocus.y,
+            scale
+        };
+        render();
+    }
+
+    function moveDrag(point) {
+        const dx = point.x - gesture.start.x;
+        const dy = point.y - gesture.start.y;
+        const now = performance.now();
+
+        gesture.samples.push({ ...point, time: now });
+        gesture.samples = gesture.samples.filter(sample => now - sample.time <= GESTURE_VELOCITY_WINDOW);
+
+        if (!gesture.moved && Math.hypot(dx, dy) < GESTURE_TAP_SLOP) {
+            return;
+        }
+        gesture.moved = true;
+
+        if (gesture.type === 'swipe') {
+            transform = { x: dx, y: 0, scale: 1 };
+        } else {
+            const limits = getLimits();
+            transform = {
+                x: resist(gesture.startTransform.x + dx, limits.x),
+                y: resist(gesture.startTransform.y + dy, limits.y),
+                scale: transform.scale
+            };
+        }
+        render();
+    }
+
+    function onPointerUp(e) {
+        if (!pointers.has(e.pointerId)) {
+            return;
+        }
+
+        const point = pointers.get(e.pointerId);
+        const ended = gesture;
+        pointers.delete(e.pointerId);
+
+        if (ended.moved || ended.target !== container) {
+            // The click that follows a drag, or a tap on the image or its panel,
+            // must not close the lightbox: only taps on the backdrop do
+            suppressClick = true;
+        }
+
+        if (pointers.size > 0) {
+            // One finger of a pinch lifted: the other carries on as a pan
+            startGesture();
+            gesture.moved = true;
+            return;
+        }
+        gesture = null;
+
+        if (e.type === 'pointercancel') {
+            snapBack();
+        } else if (ended.type === 'pinch') {
+            snapBack();
+        } else if (!ended.moved) {
+            handleTap(point, ended.target);
+        } else if (ended.type === 'swipe') {
+            endSwipe(point.x - ended.start.x, getPointerVelocity(ended.samples, performance.now()).x);
+        } else {
+            startMomentum(getPointerVelocity(ended.samples, performance.now()));
+        }
+    }
+
+    function handleTap(point, target) {
+        const now = performance.now();
+        const isDoubleTap = lastTap && now - lastTap.time < GESTURE_DOUBLE_TAP_DELAY &&
+            getPointDistance(point, lastTap) < GESTURE_TAP_SLOP * 3;
+
+        // Only the image zooms: a tap on the backdrop still closes
+        if (isDoubleTap && target === image) {
+            lastTap = null;
+            toggleZoom(point);
+        } else {
+            lastTap = { ...point, time: now };
+            if (transform.scale > 1) {
+                snapBack();
+            }
+        }
+    }
+
+    container.addEventListener('pointerdown', onPointerDown);
+    container.addEventListener('pointermove', onPointerMove);
+    container.addEventListener('pointerup', onPointerUp);
+    container.addEventListener('pointercancel', onPointerUp);
+
+    // Runs before the container's own click listeners
+    container.addEventListener('click', (e) => {
+        if (suppressClick) {
+            suppressClick = false;
+            e.stopImmediatePropagation();
+        }
+    }, true);
+
+    // The browser's own image dragging would steal the pointer
+    image.draggable = false;
+
+    return {
+        /**
+         * Back to the unzoomed, centred image (e.g. when it changes)
+         */
+        reset() {
+            stopMomentum();
+            pointers.clear();
+            gesture = null;
+            lastTap = null;
+            transform = { x: 0, y: 0, scale: 1 };
+            render();
+        },
+        isZoomed: () => transform.scale > 1
+    };
+}
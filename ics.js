@@ -0,0 +1,188 @@
+/* ========================================
+   BALMA LUXURY EVENT VENUE - ICALENDAR EXPORT
+   Description: Builds .ics files (RFC 5545) and Google/Outlook
+   "add to calendar" links in the browser
+   ======================================== */
+
+const ICS_PRODUCT_ID = '-//BALMA Eventi//balmaeventi.com//IT';
+
+/**
+ * Escape a TEXT value: backslash, semicolon, comma and line breaks
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeICSText(text) {
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line at 75 octets; continuation lines start with a space
+ * Characters are never split, so multi-byte UTF-8 stays intact
+ * @param {string} line
+ * @returns {string}
+ */
+function foldICSLine(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+    let octets = 0;
+
+    for (const char of line) {
+        const size = encoder.encode(char).length;
+        // The leading space of a continuation line counts towards its 75 octets
+        const limit = parts.length === 0 ? 75 : 74;
+        if (octets + size > limit) {
+            parts.push(current);
+            current = '';
+            octets = 0;
+        }
+        current += char;
+        octets += size;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+}
+
+/**
+ * @param {Date} date
+ * @returns {string} UTC DATE-TIME, e.g. 20261022T080000Z
+ */
+function formatICSDateTime(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * @param {Date} date - Local calendar day
+ * @returns {string} DATE value, e.g. 20261118
+ */
+function formatICSDate(date) {
+    return toISODate(date).replace(/-/g, '');
+}
+
+/**
+ * All-day events end on the next day: DTEND is exclusive (RFC 5545 3.6.1)
+ * @param {Object} event - Event with a start and, optionally, its last day as end
+ * @returns {Date} First day after the event
+ */
+function getAllDayEnd(event) {
+    return addDays(event.end || event.start, 1);
+}
+
+/**
+ * Build an iCalendar file
+ * @param {Object[]} events
+ * @param {string} events[].uid - Globally unique id
+ * @param {Date} events[].start
+ * @param {Date} [events[].end] - For all-day events, the last day (default: start)
+ * @param {boolean} [events[].allDay] - Dates only, no times
+ * @param {string} events[].summary
+ * @param {string} [events[].description]
+ * @param {string} [events[].location]
+ * @param {string} [events[].status] - TENTATIVE, CONFIRMED or CANCELLED
+ * @returns {string} Calendar text with CRLF line endings
+ */
+function buildICS(events) {
+    const stamp = formatICSDateTime(new Date());
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${ICS_PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH'
+    ];
+
+    events.forEach(event => {
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${event.uid}`,
+            `DTSTAMP:${stamp}`,
+            event.allDay
+                ? `DTSTART;VALUE=DATE:${formatICSDate(event.start)}`
+                : `DTSTART:${formatICSDateTime(event.start)}`,
+            event.allDay
+                ? `DTEND;VALUE=DATE:${formatICSDate(getAllDayEnd(event))}`
+                : `DTEND:${formatICSDateTime(event.end)}`,
+            `SUMMARY:${escapeICSText(event.summary)}`
+        );
+        if (event.description) {
+            lines.push(`DESCRIPTION:${escapeICSText(event.description)}`);
+        }
+        if (event.location) {
+            lines.push(`LOCATION:${escapeICSText(event.location)}`);
+        }
+        if (event.status) {
+            lines.push(`STATUS:${event.status}`);
+        }
+        lines.push('END:VEVENT');
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldICSLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Offer calendar text as a file download
+ * @param {string} filename - e.g. balma-visit.ics
+ * @param {string} content - Output of buildICS()
+ */
+function downloadICS(filename, content) {
+    const url = URL.createObjectURL(new Blob([content], { type: 'text/calendar;charset=utf-8' }));
+    const link = document.createElement('a');
+
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Give the browser a moment to start the download before releasing the file
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// ========================================
+// ADD TO CALENDAR LINKS
+// Same event object as buildICS(); URLSearchParams does the escaping
+// ========================================
+
+/**
+ * @param {Object} event - Event as for buildICS()
+ * @returns {string} Google Calendar "create event" URL
+ */
+function buildGoogleCalendarUrl(event) {
+    const dates = event.allDay
+        ? `${formatICSDate(event.start)}/${formatICSDate(getAllDayEnd(event))}`
+        : `${formatICSDateTime(event.start)}/${formatICSDateTime(event.end)}`;
+    const params = new URLSearchParams({
+        action: 'TEMPLATE',
+        text: event.summary,
+        dates,
+        details: event.description || '',
+        location: event.location || ''
+    });
+    return `https://calendar.google.com/calendar/render?${params}`;
+}
+
+/**
+ * @param {Object} event - Event as for buildICS()
+ * @returns {string} Outlook.com compose URL
+ */
+function buildOutlookCalendarUrl(event) {
+    const params = new URLSearchParams({
+        path: '/calendar/action/compose',
+        rru: 'addevent',
+        subject: event.summary,
+        startdt: event.allDay ? toISODate(event.start) : event.start.toISOString(),
+        enddt: event.allDay ? toISODate(getAllDayEnd(event)) : event.end.toISOString(),
+        body: event.description || '',
+        location: event.location || ''
+    });
+    if (event.allDay) {
+        params.set('allday', 'true');
+    }
+    return `https://outlook.live.com/calendar/0/deeplink/compose?${params}`;
+}
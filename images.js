@@ -0,0 +1,100 @@
+/* ========================================
+   BALMA LUXURY EVENT VENUE - RESPONSIVE IMAGES
+   Description: srcset/sizes, AVIF/WebP sources and blur-up placeholders
+   from data/images.json, written by tools/build-images.js
+   Images missing from the manifest keep their original file
+   ======================================== */
+
+/**
+ * Fetch the variants manifest
+ * @param {string} url - Path to images.json
+ * @returns {Promise<Object>} Entries by original src: { width, height, placeholder, sources, fallback }
+ */
+async function loadImageVariants(url) {
+    return (await fetchJSON(url)).images || {};
+}
+
+/**
+ * Show a blurred preview behind an image until the real file has loaded
+ * @param {HTMLImageElement} img
+ * @param {string} placeholder - Data URI
+ */
+function showImagePlaceholder(img, placeholder) {
+    if (!placeholder || img.complete) {
+        return;
+    }
+    img.style.backgroundImage = `url("${placeholder}")`;
+    img.classList.add('has-placeholder');
+
+    const reveal = () => {
+        img.classList.remove('has-placeholder');
+        img.style.backgroundImage = '';
+    };
+    img.addEventListener('load', reveal, { once: true });
+    img.addEventListener('error', reveal, { once: true });
+}
+
+/**
+ * Point an image at its variants: it is wrapped in a <picture> with AVIF and
+ * WebP sources, and gets a JPEG srcset
+ * Images without variants get the original file; images that already finished
+ * loading are left alone, so nothing downloads twice
+ * @param {HTMLImageElement} img
+ * @param {string} src - Original src, the key in the manifest
+ * @param {Object} variants - Manifest from loadImageVariants()
+ * @param {string} sizes - sizes attribute: rendered width by viewport
+ */
+function applyImageVariants(img, src, variants, sizes) {
+    const entry = variants[src];
+    if (!entry) {
+        if (!img.getAttribute('src')) {
+            img.src = src;
+        }
+        return;
+    }
+    if (img.getAttribute('src') && img.complete) {
+        return;
+    }
+
+    const picture = document.createElement('picture');
+    picture.className = 'responsive-picture';
+    ['avif', 'webp'].forEach(format => {
+        if (entry.sources[format]) {
+            const source = document.createElement('source');
+            source.type = `image/${format}`;
+            source.srcset = entry.sources[format];
+            source.sizes = sizes;
+            picture.appendChild(source);
+        }
+    });
+
+    if (img.parentNode) {
+        img.replaceWith(picture);
+    }
+    picture.appendChild(img);
+
+    if (!img.hasAttribute('width')) {
+        img.width = entry.width;
+        img.height = entry.height;
+    }
+    img.sizes = sizes;
+    img.srcset = entry.sources.jpeg;
+    img.src = entry.fallback;
+    showImagePlaceholder(img, entry.placeholder);
+}
+
+/**
+ * Blur-up for the <picture> markup the build writes into index.html;
+ * data-image on the wrapper holds the original src
+ * @param {ParentNode} root
+ * @param {Object} variants - Manifest from loadImageVariants()
+ */
+function showPicturePlaceholders(root, variants) {
+    root.querySelectorAll('.responsive-picture[data-image]').forEach(picture => {
+        const entry = variants[picture.dataset.image];
+        const img = picture.querySelector('img');
+        if (entry && img) {
+            showImagePlaceholder(img, entry.placeholder);
+        }
+    });
+}
@@ -0,0 +1,137 @@
+/* ========================================
+   BALMA LUXURY EVENT VENUE - LANGUAGE BOOTSTRAP
+   Description: Resolve the page language before first paint
+   Loaded synchronously in <head>, before script.js
+   ======================================== */
+
+// Languages offered in the navbar switcher, in display order
+// Add a language here and ship its catalog as locales/<code>.json
+// locale: BCP 47 tag used for dates; firstDayOfWeek: 0 = Sunday, 1 = Monday
+const LANGUAGES = [
+    { code: 'it', label: 'IT', name: 'Italiano', locale: 'it-IT', firstDayOfWeek: 1 },
+    { code: 'en', label: 'ENG', name: 'English', locale: 'en-US', firstDayOfWeek: 0 },
+    { code: 'de', label: 'DE', name: 'Deutsch', locale: 'de-DE', firstDayOfWeek: 1 },
+    { code: 'fr', label: 'FR', name: 'Français', locale: 'fr-FR', firstDayOfWeek: 1 }
+];
+
+const DEFAULT_LANG = 'it';            // Italian is the fallback and the text shipped in the HTML
+const SUPPORTED_LANGS = LANGUAGES.map(language => language.code);
+const LANG_STORAGE_KEY = 'balma-lang';
+
+/**
+ * Get the configuration entry of a language
+ * @param {string} lang - Language code
+ * @returns {Object} Entry from LANGUAGES (the default language if unknown)
+ */
+function getLanguageConfig(lang) {
+    return LANGUAGES.find(language => language.code === lang)
+        || LANGUAGES.find(language => language.code === DEFAULT_LANG);
+}
+
+/**
+ * Reduce a language tag (e.g. 'en-GB', 'EN') to a supported language code
+ * @param {string} value - Language tag
+ * @returns {string|null} Supported language code, or null
+ */
+function normalizeLang(value) {
+    if (!value) {
+        return null;
+    }
+    const lang = String(value).toLowerCase().split('-')[0];
+    return SUPPORTED_LANGS.includes(lang) ? lang : null;
+}
+
+/**
+ * Read the language from the URL (?lang=en)
+ * The site is a single static page, so there are no /en/ style paths
+ * @returns {string|null}
+ */
+function getUrlLanguage() {
+    return normalizeLang(new URLSearchParams(window.location.search).get('lang'));
+}
+
+/**
+ * Read the language chosen on a previous visit
+ * localStorage may be unavailable (private browsing, disabled cookies)
+ * @returns {string|null}
+ */
+function getStoredLanguage() {
+    try {
+        return normalizeLang(localStorage.getItem(LANG_STORAGE_KEY));
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Remember the chosen language for future visits
+ * @param {string} lang - Language code
+ */
+function storeLanguage(lang) {
+    try {
+        localStorage.setItem(LANG_STORAGE_KEY, lang);
+    } catch (error) {
+        // Storage unavailable: the choice still lives in the URL
+    }
+}
+
+/**
+ * Pick the first supported language from the browser preferences
+ * @returns {string|null}
+ */
+function getBrowserLanguage() {
+    const preferred = navigator.languages && navigator.languages.length
+        ? navigator.languages
+        : [navigator.language];
+    
+    for (const tag of preferred) {
+        const lang = normalizeLang(tag);
+        if (lang) {
+            return lang;
+        }
+    }
+    return null;
+}
+
+/**
+ * Resolve the initial language: URL, then localStorage, then browser, then Italian
+ * @returns {string}
+ */
+function resolveInitialLanguage() {
+    return getUrlLanguage() || getStoredLanguage() || getBrowserLanguage() || DEFAULT_LANG;
+}
+
+/**
+ * Write the language back to the URL as ?lang= so shared links keep it
+ * Italian pages without ?lang stay as they are: it is the default anyway
+ * @param {string} lang - Language code
+ */
+function writeLanguageToUrl(lang) {
+    if (!window.history || !window.history.replaceState) {
+        return;
+    }
+    
+    const url = new URL(window.location.href);
+    if (lang === DEFAULT_LANG && !url.searchParams.has('lang')) {
+        return;
+    }
+    url.searchParams.set('lang', lang);
+    
+    if (url.href !== window.location.href) {
+        window.history.replaceState(window.history.state, '', url.href);
+    }
+}
+
+// Apply the language to <html> right away so nothing is painted in the wrong language
+const initialLang = resolveInitialLanguage();
+document.documentElement.lang = initialLang;
+
+if (initialLang !== DEFAULT_LANG) {
+    // Hide translatable text until script.js has applied the catalog
+    document.documentElement.classList.add('i18n-pending');
+    
+    // Never keep the text hidden if the catalog fails to arrive
+    setTimeout(() => {
+        document.documentElement.classList.remove('i18n-pending');
+    }, 3000);
+}
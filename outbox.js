@@ -0,0 +1,117 @@
+/* ========================================
+   BALMA LUXURY EVENT VENUE - OUTBOX
+   Description: IndexedDB queue of quote requests that could not be sent
+   Shared by the page (script.js) and the service worker (sw.js)
+   ======================================== */
+
+const OUTBOX_DB_NAME = 'balma-outbox';
+const OUTBOX_STORE = 'requests';
+const OUTBOX_SYNC_TAG = 'balma-outbox';
+
+/**
+ * Open (and create on first use) the outbox database
+ * @returns {Promise<IDBDatabase>}
+ */
+function openOutbox() {
+    return new Promise((resolve, reject) => {
+        const request = self.indexedDB.open(OUTBOX_DB_NAME, 1);
+
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(OUTBOX_STORE, { keyPath: 'id', autoIncrement: true });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Run one request against the outbox store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} operation - Receives the object store, returns an IDBRequest
+ * @returns {Promise<*>} The request result
+ */
+async function withOutboxStore(mode, operation) {
+    const db = await openOutbox();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(OUTBOX_STORE, mode);
+        const request = operation(transaction.objectStore(OUTBOX_STORE));
+
+        transaction.oncomplete = () => {
+            db.close();
+            resolve(request.result);
+        };
+        transaction.onerror = () => {
+            db.close();
+            reject(transaction.error);
+        };
+    });
+}
+
+/**
+ * Queue a form submission
+ * FormData cannot be stored, so fields are kept as [name, value] pairs
+ * @param {string} endpoint - URL the form posts to
+ * @param {FormData} formData - Submitted fields
+ * @returns {Promise<number>} Id of the queued entry
+ */
+function addToOutbox(endpoint, formData) {
+    const entry = {
+        endpoint,
+        fields: Array.from(formData.entries()),
+        queuedAt: new Date().toISOString()
+    };
+    return withOutboxStore('readwrite', store => store.add(entry));
+}
+
+/**
+ * @returns {Promise<Object[]>} All queued entries, oldest first
+ */
+function getOutboxEntries() {
+    return withOutboxStore('readonly', store => store.getAll());
+}
+
+/**
+ * @param {number} id - Entry to remove
+ */
+function removeFromOutbox(id) {
+    return withOutboxStore('readwrite', store => store.delete(id));
+}
+
+/**
+ * Try to send every queued request
+ * Sent entries are removed; network errors and 5xx keep them for the next attempt;
+ * other 4xx answers are dropped, as the same data would be rejected again
+ * @returns {Promise<number>} How many requests were delivered
+ */
+async function flushOutbox() {
+    const entries = await getOutboxEntries();
+    let delivered = 0;
+
+    for (const entry of entries) {
+        const formData = new FormData();
+        entry.fields.forEach(([name, value]) => formData.append(name, value));
+
+        let response;
+        try {
+            response = await fetch(entry.endpoint, {
+                method: 'POST',
+                body: formData,
+                headers: { Accept: 'application/json' }
+            });
+        } catch (error) {
+            // Still offline: stop here and keep the rest queued
+            break;
+        }
+
+        if (response.ok) {
+            await removeFromOutbox(entry.id);
+            delivered++;
+        } else if (response.status >= 400 && response.status < 500 && response.status !== 408 && response.status !== 429) {
+            console.warn(`Queued request ${entry.id} rejected with HTTP ${response.status}, dropping it`);
+            await removeFromOutbox(entry.id);
+        }
+    }
+
+    return delivered;
+}
@@ -0,0 +1,70 @@
+/* ========================================
+   BALMA LUXURY EVENT VENUE - PHONE NUMBERS
+   Description: Checks Italian and international phone numbers
+   and normalizes them to E.164 (+393381234567)
+   ======================================== */
+
+const DEFAULT_CALLING_CODE = '39';
+
+// Separators people type between digit groups
+const PHONE_SEPARATORS = /[\s.\-\/()]/g;
+
+/**
+ * Check an Italian national number (without +39)
+ * Mobiles start with 3 and have 9-10 digits; landlines keep their
+ * leading 0 and have 6-11 digits
+ * @param {string} digits - National number, digits only
+ * @returns {boolean}
+ */
+function isValidItalianNumber(digits) {
+    return /^3\d{8,9}$/.test(digits) || /^0\d{5,10}$/.test(digits);
+}
+
+/**
+ * Normalize a phone number as typed into E.164
+ * Numbers without an international prefix (+ or 00) get the default calling code;
+ * outside Italy a leading trunk 0 is dropped (0170 ... in Germany is +49 170 ...)
+ * @param {string} input - Number as typed, e.g. "338 123 4567" or "0039 02-1234567"
+ * @param {string|null} [defaultCallingCode] - Calling code without +, default '39';
+ *   null when no country can be assumed, so the prefix is required
+ * @returns {string|null} E.164 number, or null if it is not a plausible number
+ */
+function normalizePhoneNumber(input, defaultCallingCode = DEFAULT_CALLING_CODE) {
+    const compact = String(input || '').trim().replace(PHONE_SEPARATORS, '');
+
+    if (!/^(\+|00)?\d+$/.test(compact)) {
+        return null;
+    }
+
+    let number;
+    if (compact.startsWith('+')) {
+        number = compact.slice(1);
+    } else if (compact.startsWith('00')) {
+        number = compact.slice(2);
+    } else if (!defaultCallingCode) {
+        return null;
+    } else if (defaultCallingCode === '39') {
+        number = `39${compact}`;
+    } else {
+        number = defaultCallingCode + compact.replace(/^0/, '');
+    }
+
+    // E.164 allows at most 15 digits; shorter than 8 is never a full number
+    if (number.length < 8 || number.length > 15 || number.startsWith('0')) {
+        return null;
+    }
+    if (number.startsWith('39') && !isValidItalianNumber(number.slice(2))) {
+        return null;
+    }
+
+    return `+${number}`;
+}
+
+/**
+ * @param {string} input - Number as typed
+ * @param {string|null} [defaultCallingCode] - Calling code without +
+ * @returns {boolean} True if the number can be normalized
+ */
+function isValidPhoneNumber(input, defaultCallingCode) {
+    return normalizePhoneNumber(input, defaultCallingCode) !== null;
+}
@@ -122,79 +122,276 @@ window.addEventListener('scroll', debounce(() => {
 
 // ========================================
 // 3. LANGUAGE SWITCHER
-// Toggle between English and Italian
+// Key-based translations loaded from locales/<lang>.json
 // ========================================
 
-const langButtons = document.querySelectorAll('.lang-btn');
-let currentLang = 'it';  // Default language is Italian
+// LANGUAGES, DEFAULT_LANG, initialLang and the URL/storage helpers come from language.js
+const languageToggle = document.querySelector('.language-toggle');
+let currentLang = DEFAULT_LANG;  // The HTML ships in Italian
 
-// Translation data structure
-// Add more translations as needed
-const translations = {
-    en: {},  // English translations
-    it: {}   // Italian is default in HTML
-};
+// Translation catalogs, keyed by language code and filled by loadTranslations()
+// Elements reference entries with data-i18n="section.key" (or data-i18n-placeholder,
+// data-i18n-aria-label)
+const translations = {};
+const pendingTranslations = {};
+const reportedMissingKeys = new Set();
+
+// Components that render their own text register here to follow the language
+const languageChangeListeners = [];
+
+/**
+ * Render one button per configured language, separated by slashes
+ * @returns {HTMLButtonElement[]} The rendered buttons
+ */
+function renderLanguageToggle() {
+    languageToggle.innerHTML = '';
+    
+    return LANGUAGES.map((language, index) => {
+        if (index > 0) {
+            const separator = document.createElement('span');
+            separator.className = 'lang-separator';
+            separator.textContent = '/';
+            languageToggle.appendChild(separator);
+        }
+        
+        const btn = document.createElement('button');
+        btn.className = 'lang-btn';
+        btn.type = 'button';
+        btn.textContent = language.label;
+        btn.setAttribute('data-lang', language.code);
+        btn.setAttribute('lang', language.code);
+        btn.setAttribute('aria-label', language.name);
+        languageToggle.appendChild(btn);
+        
+        return btn;
+    });
+}
+
+const langButtons = renderLanguageToggle();
 
 langButtons.forEach(btn => {
     btn.addEventListener('click', () => {
         const newLang = btn.getAttribute('data-lang');
         
         if (newLang !== currentLang) {
-            currentLang = newLang;
-            
-            // Update active state
-            langButtons.forEach(b => b.classList.remove('active'));
-            btn.classList.add('active');
-            
-            // Update page language
-            document.documentElement.lang = currentLang;
-            
-            // Switch all translatable elements
-            switchLanguage(currentLang);
+            setLanguage(newLang);
+            storeLanguage(newLang);
         }
     });
 });
 
 /**
- * Switch language for all elements with data-en and data-it attributes
- * @param {string} lang - Language code ('en' or 'it')
+ * Make a language current: buttons, <html lang>, URL and page text
+ * @param {string} lang - Language code (one of LANGUAGES)
  */
-function switchLanguage(lang) {
-    const elements = document.querySelectorAll('[data-en][data-it]');
+function setLanguage(lang) {
+    currentLang = lang;
     
-    elements.forEach(element => {
-        const text = element.getAttribute(`data-${lang}`);
-        if (text) {
-            // Handle different element types
-            if (element.tagName === 'INPUT' || element.tagName === 'TEXTAREA') {
-                // Handle placeholder with specific data attributes
-                const placeholderAttr = element.getAttribute(`data-${lang}-placeholder`);
-                if (placeholderAttr) {
-                    element.placeholder = placeholderAttr;
-                } else {
-                    element.placeholder = text;
-                }
-            } else if (element.tagName === 'INPUT' || element.tagName === 'TEXTAREA') {
-                element.placeholder = text;
-            } else {
-                element.innerHTML = text;
-            }
+    // Update active state
+    langButtons.forEach(b => b.classList.toggle('active', b.getAttribute('data-lang') === lang));
+    
+    // Update page language and keep it in the URL for shared links
+    document.documentElement.lang = lang;
+    writeLanguageToUrl(lang);
+    
+    // Switch all translatable elements
+    switchLanguage(lang);
+}
+
+/**
+ * Load the translation catalog for a language (fetched only once)
+ * @param {string} lang - Language code (e.g. 'en', 'it')
+ * @returns {Promise<Object>} The catalog, or an empty object if it could not be loaded
+ */
+function loadTranslations(lang) {
+    if (translations[lang]) {
+        return Promise.resolve(translations[lang]);
+    }
+    
+    if (!pendingTranslations[lang]) {
+        pendingTranslations[lang] = fetchJSON(`locales/${lang}.json`)
+            .then(catalog => {
+                translations[lang] = catalog;
+                return catalog;
+            })
+            .catch(error => {
+                console.error(`Could not load translations for "${lang}":`, error);
+                return {};
+            })
+            .finally(() => {
+                delete pendingTranslations[lang];
+            });
+    }
+    
+    return pendingTranslations[lang];
+}
+
+/**
+ * Look up a dotted key (e.g. 'hero.title') inside a catalog
+ * @param {Object} catalog - Translation catalog
+ * @param {string} key - Dotted translation key
+ * @returns {string|undefined}
+ */
+function lookupTranslation(catalog, key) {
+    const value = key.split('.').reduce((node, part) => (node ? node[part] : undefined), catalog);
+    return typeof value === 'string' ? value : undefined;
+}
+
+/**
+ * Translate a key, falling back to Italian when the key is missing
+ * Missing keys are reported once per language in the console
+ * @param {string} key - Dotted translation key
+ * @param {string} lang - Language code (defaults to the current language)
+ * @returns {string|undefined} Translated text, or undefined if no catalog has it
+ */
+function t(key, lang = currentLang) {
+    const text = lookupTranslation(translations[lang], key);
+    if (text !== undefined) {
+        return text;
+    }
+    
+    // Catalog not loaded yet: nothing to report
+    if (!translations[lang]) {
+        return lang === DEFAULT_LANG ? undefined : t(key, DEFAULT_LANG);
+    }
+    
+    const reportId = `${lang}:${key}`;
+    if (!reportedMissingKeys.has(reportId)) {
+        reportedMissingKeys.add(reportId);
+        console.warn(`Missing translation key "${key}" for language "${lang}"`);
+    }
+    
+    return lang === DEFAULT_LANG ? undefined : t(key, DEFAULT_LANG);
+}
+
+/**
+ * Fill {placeholders} in a translated text
+ * @param {string} text - Text such as 'Up to {capacity} guests'
+ * @param {Object} params - Values by placeholder name
+ * @returns {string}
+ */
+function formatText(text, params) {
+    return text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+}
+
+/**
+ * Point an element at a translation key and show its text right away
+ * The key is kept in data-i18n so later language switches update it too
+ * @param {HTMLElement} element - Element to update
+ * @param {string} key - Dotted translation key
+ */
+function applyTranslation(element, key) {
+    element.setAttribute('data-i18n', key);
+    const text = t(key);
+    if (text !== undefined) {
+        element.innerHTML = text;
+    }
+}
+
+/**
+ * Run a callback every time a language has been applied to the page
+ * @param {Function} listener - Receives the language code
+ */
+function onLanguageChange(listener) {
+    languageChangeListeners.push(listener);
+}
+
+/**
+ * Switch language for all elements with data-i18n / data-i18n-placeholder / data-i18n-aria-label attributes
+ * @param {string} lang - Language code (one of LANGUAGES)
+ */
+async function switchLanguage(lang) {
+    await Promise.all([loadTranslations(lang), loadTranslations(DEFAULT_LANG)]);
+    
+    // Another language may have been selected while the catalogs were loading
+    if (lang !== currentLang) {
+        return;
+    }
+    
+    document.querySelectorAll('[data-i18n]').forEach(element => {
+        const text = t(element.getAttribute('data-i18n'), lang);
+        if (text !== undefined) {
+            element.innerHTML = text;
+        }
+    });
+    
+    document.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+        const text = t(element.getAttribute('data-i18n-placeholder'), lang);
+        if (text !== undefined) {
+            element.placeholder = text;
+        }
+    });
+    
+    document.querySelectorAll('[data-i18n-aria-label]').forEach(element => {
+        const text = t(element.getAttribute('data-i18n-aria-label'), lang);
+        if (text !== undefined) {
+            element.setAttribute('aria-label', text);
         }
     });
+    
+    languageChangeListeners.forEach(listener => listener(lang));
+    
+    // Text is in place: reveal it if language.js hid it before first paint
+    document.documentElement.classList.remove('i18n-pending');
 }
 
+// Apply the language resolved by language.js (URL, saved choice or browser)
+setLanguage(initialLang);
+
 // ========================================
 // 4. SETUP SECTION - LAYOUT SWITCHER
 // Interactive tabs for different seating arrangements
 // ========================================
 
+// Seating arrangements, shared by the tabs and the contact form validation
+// Names and captions are in the catalogs under setup.layouts.<id>
+const LAYOUTS = [
+    { id: 'gala', capacity: 48 },
+    { id: 'theater', capacity: 70 },
+    { id: 'cocktail', capacity: 70 }
+];
+const MAX_CAPACITY = Math.max(...LAYOUTS.map(layout => layout.capacity));
+
+/**
+ * @param {string} id - Layout id (e.g. 'gala')
+ * @returns {Object|null} Entry from LAYOUTS
+ */
+function getLayout(id) {
+    return LAYOUTS.find(layout => layout.id === id) || null;
+}
+
 const layoutTabs = document.querySelectorAll('.layout-tab');
 const layoutDisplays = document.querySelectorAll('.layout-display');
 
+/**
+ * Write the capacities from LAYOUTS into the captions and the stats
+ */
+function renderLayoutCapacities() {
+    layoutDisplays.forEach(display => {
+        const layout = getLayout(display.getAttribute('data-layout'));
+        const caption = display.querySelector('.layout-caption');
+        const text = layout && t(`setup.layouts.${layout.id}.caption`);
+        if (caption && text) {
+            caption.innerHTML = formatText(text, { capacity: layout.capacity });
+        }
+    });
+    
+    const capacityStat = document.querySelector('[data-stat="capacity"]');
+    if (capacityStat) {
+        capacityStat.textContent = MAX_CAPACITY;
+    }
+}
+
+onLanguageChange(renderLayoutCapacities);
+
 layoutTabs.forEach(tab => {
     tab.addEventListener('click', () => {
         const layoutType = tab.getAttribute('data-layout');
         
+        if (!getLayout(layoutType)) {
+            return;
+        }
+        
         // Update active tab
         layoutTabs.forEach(t => t.classList.remove('active'));
         tab.classList.add('active');
@@ -211,380 +408,1933 @@ layoutTabs.forEach(tab => {
 });
 
 // ========================================
-// 5. GALLERY LIGHTBOX
-// Open, close, and navigate through gallery images
+// 5. GALLERY AND LIGHTBOX
+// Grid rendered from data/gallery.json; open, close, and navigate
+// through the images in the lightbox
 // ========================================
 
-const galleryItems = document.querySelectorAll('.gallery-item');
+// Responsive variants from data/images.json (built by tools/build-images.js):
+// srcset/sizes, AVIF/WebP and blur-up placeholders. Until the build has been
+// run the file is missing and every image keeps its original
+const IMAGES_URL = 'data/images.json';
+
+let imageVariants = {};     // Manifest entries by original src
+const imageVariantsReady = loadImageVariants(IMAGES_URL)
+    .then(variants => {
+        imageVariants = variants;
+    })
+    .catch(() => {});
+
+const GALLERY_URL = 'data/gallery.json';
+const GALLERY_HASH_PREFIX = '#gallery/';
+const GALLERY_REFLOW_DURATION = 400;  // ms
+const GALLERY_IMAGE_SIZES = '(max-width: 768px) 100vw, 33vw';
+const gallerySection = document.getElementById('gallery');
+const galleryGrid = document.querySelector('.gallery-grid');
+const galleryFilters = document.querySelector('.gallery-filters');
+const galleryFilterButtons = document.querySelectorAll('.gallery-filter');
 const lightbox = document.getElementById('lightbox');
 const lightboxImg = document.getElementById('lightboxImg');
 const lightboxCounter = document.getElementById('lightboxCounter');
+const lightboxStatus = document.getElementById('lightboxStatus');
 const lightboxClose = document.querySelector('.lightbox-close');
 const lightboxPrev = document.querySelector('.lightbox-prev');
 const lightboxNext = document.querySelector('.lightbox-next');
+const lightboxShare = document.querySelector('.lightbox-share');
+const lightboxShareFeedback = document.getElementById('lightboxShareFeedback');
+const lightboxInfo = document.getElementById('lightboxInfo');
+const lightboxInfoToggle = document.querySelector('.lightbox-info-toggle');
+
+let currentImageIndex = 0;   // Position in filteredImages
+let galleryImages = [];     // Images from the manifest, in grid order
+let filteredImages = [];    // The ones of the active category: the lightbox browses these
+let activeCategory = '';
+// How the open lightbox got into the history: 'pushed' by a click (Back closes it),
+// 'linked' when the page was loaded on its URL, null when closed
+let lightboxHistory = null;
+let shareFeedbackTimer = null;
+let isLightboxInfoShown = false;    // Kept from one image (and opening) to the next
 
-let currentImageIndex = 0;
-const galleryImages = Array.from(galleryItems).map(item => {
-    const img = item.querySelector('.gallery-img');
-    return {
-        src: img.src,
-        alt: img.alt
-    };
-});
+/**
+ * Build the grid items; texts are filled in by localizeGallery()
+ */
+function renderGallery() {
+    galleryGrid.replaceChildren(...galleryImages.map(image => {
+        const item = document.createElement('div');
+        item.className = 'gallery-item';
+        item.dataset.index = image.index;
+        item.dataset.category = image.category || '';
+        // Gallery items are buttons: Enter and Space open them too
+        item.tabIndex = 0;
+        item.setAttribute('role', 'button');
+        item.innerHTML = `
+            <img alt="" loading="lazy" class="gallery-img">
+            <div class="gallery-overlay">
+                <span class="gallery-zoom">+</span>
+                <span class="gallery-caption"></span>
+            </div>
+        `;
+        const img = item.querySelector('.gallery-img');
+        if (image.width && image.height) {
+            img.width = image.width;
+            img.height = image.height;
+        }
+        // The lightbox keeps the original file: full resolution for zooming
+        applyImageVariants(img, image.src, imageVariants, GALLERY_IMAGE_SIZES);
+        return item;
+    }));
+    
+    localizeGallery(currentLang);
+    galleryGrid.removeAttribute('aria-busy');
+}
+
+/**
+ * Alt texts and captions in the page language
+ * @param {string} lang - Language code
+ */
+function localizeGallery(lang) {
+    galleryGrid.querySelectorAll('.gallery-item').forEach(item => {
+        const image = galleryImages[item.dataset.index];
+        item.querySelector('.gallery-img').alt = getGalleryText(image.alt, lang);
+        item.querySelector('.gallery-caption').textContent = getGalleryText(image.caption, lang);
+    });
+    
+    if (lightbox.classList.contains('active')) {
+        updateLightboxImage();
+    }
+}
+
+/**
+ * @param {string} hash - location.hash
+ * @returns {string|null} Category linked by #gallery/<category>, null if none
+ */
+function getCategoryFromHash(hash) {
+    if (!hash.startsWith(GALLERY_HASH_PREFIX)) {
+        return null;
+    }
+    const name = hash.slice(GALLERY_HASH_PREFIX.length);
+    return GALLERY_CATEGORIES.includes(name) ? name : null;
+}
+
+/**
+ * Show the counts on the chips; categories without photos are hidden
+ */
+function renderGalleryFilters() {
+    const counts = countGalleryCategories(galleryImages);
+    
+    galleryFilterButtons.forEach(button => {
+        const category = button.getAttribute('data-category');
+        const count = category ? counts[category] || 0 : galleryImages.length;
+        button.querySelector('.gallery-filter-count').textContent = count;
+        button.hidden = count === 0;
+    });
+    galleryFilters.hidden = false;
+}
+
+/**
+ * Show only the images of a category
+ * @param {string} category - One of GALLERY_CATEGORIES, or '' for all
+ * @param {Object} [options]
+ * @param {boolean} [options.updateHash] - Reflect the filter in the URL (default true)
+ * @param {boolean} [options.animate] - Slide the items to their new place (default true)
+ */
+function applyGalleryFilter(category, { updateHash = true, animate = true } = {}) {
+    const items = Array.from(galleryGrid.querySelectorAll('.gallery-item'));
+    const previousRects = new Map(items.filter(item => !item.hidden).map(item => [item, item.getBoundingClientRect()]));
+    
+    activeCategory = category;
+    filteredImages = filterGalleryImages(galleryImages, category);
+    
+    galleryFilterButtons.forEach(button => {
+        const isActive = button.getAttribute('data-category') === category;
+        button.classList.toggle('active', isActive);
+        button.setAttribute('aria-pressed', String(isActive));
+    });
+    items.forEach(item => {
+        item.hidden = Boolean(category) && item.dataset.category !== category;
+    });
+    
+    if (animate) {
+        animateGalleryReflow(items.filter(item => !item.hidden), previousRects);
+    }
+    if (updateHash) {
+        const hash = category ? `${GALLERY_HASH_PREFIX}${category}` : '#gallery';
+        history.replaceState(history.state, '', `${location.pathname}${location.search}${hash}`);
+    }
+}
 
-// Open lightbox
-galleryItems.forEach((item, index) => {
-    item.addEventListener('click', () => {
-        currentImageIndex = index;
-        openLightbox();
+/**
+ * Move items from their old position to the new one (FLIP); new items fade in
+ * @param {HTMLElement[]} items - Items visible after the change
+ * @param {Map} previousRects - Item -> position before the change
+ */
+function animateGalleryReflow(items, previousRects) {
+    if (window.matchMedia('(prefers-reduced-motion: reduce)').matches) {
+        return;
+    }
+    
+    items.forEach(item => {
+        if (typeof item.animate !== 'function') {
+            return;
+        }
+        const before = previousRects.get(item);
+        const after = item.getBoundingClientRect();
+        const options = { duration: GALLERY_REFLOW_DURATION, easing: 'ease' };
+        
+        if (!before) {
+            item.animate([{ opacity: 0, transform: 'scale(0.9)' }, { opacity: 1, transform: 'none' }], options);
+        } else if (before.left !== after.left || before.top !== after.top) {
+            const offset = `translate(${before.left - after.left}px, ${before.top - after.top}px)`;
+            item.animate([{ transform: offset }, { transform: 'none' }], options);
+        }
     });
+}
+
+/**
+ * @param {string} hash - location.hash
+ * @returns {number} Manifest index of the image linked by #gallery/<number>
+ *   (numbered from 1, as in the unfiltered counter), -1 if none
+ */
+function getImageIndexFromHash(hash) {
+    const match = /^#gallery\/(\d+)$/.exec(hash);
+    const index = match ? Number(match[1]) - 1 : -1;
+    return index >= 0 && index < galleryImages.length ? index : -1;
+}
+
+/**
+ * @param {Object} image - Image from the manifest
+ * @returns {string} Hash that links to it
+ */
+function getImageHash(image) {
+    return `${GALLERY_HASH_PREFIX}${image.index + 1}`;
+}
+
+function scrollToGallery() {
+    window.scrollTo({ top: gallerySection.getBoundingClientRect().top + window.pageYOffset - navbar.offsetHeight });
+}
+
+galleryFilterButtons.forEach(button => {
+    button.addEventListener('click', () => applyGalleryFilter(button.getAttribute('data-category')));
 });
 
+// Escape is handled with the arrow keys below
+const lightboxDialog = createModalDialog(lightbox);
+
+// Open lightbox: items are rendered later, so listen on the grid
+galleryGrid.addEventListener('click', (e) => {
+    const item = e.target.closest('.gallery-item');
+    if (item) {
+        openGalleryItem(item);
+    }
+});
+
+galleryGrid.addEventListener('keydown', (e) => {
+    const item = e.target.closest('.gallery-item');
+    if (item && (e.key === 'Enter' || e.key === ' ')) {
+        e.preventDefault();
+        openGalleryItem(item);
+    }
+});
+
+/**
+ * @param {HTMLElement} item - Grid item that was chosen
+ */
+function openGalleryItem(item) {
+    const index = Number(item.dataset.index);
+    currentImageIndex = Math.max(0, filteredImages.findIndex(image => image.index === index));
+    
+    // A history entry of its own, so Back closes the lightbox
+    history.pushState({ lightbox: true }, '', `${location.pathname}${location.search}${getImageHash(filteredImages[currentImageIndex])}`);
+    lightboxHistory = 'pushed';
+    openLightbox();
+}
+
+/**
+ * Open the image a #gallery/<number> link points to
+ * The active filter stays if it includes the image
+ * @param {number} index - Manifest index
+ */
+function openLinkedImage(index) {
+    if (!filteredImages.some(image => image.index === index)) {
+        applyGalleryFilter('', { updateHash: false, animate: false });
+    }
+    currentImageIndex = filteredImages.findIndex(image => image.index === index);
+    lightboxHistory = history.state && history.state.lightbox ? 'pushed' : 'linked';
+    scrollToGallery();
+    openLightbox();
+}
+
+/**
+ * Close from the lightbox itself (button, backdrop, Escape)
+ */
+function requestCloseLightbox() {
+    if (lightboxHistory === 'pushed') {
+        // The popstate listener closes it once the URL is back
+        history.back();
+        return;
+    }
+    
+    const hash = activeCategory ? `${GALLERY_HASH_PREFIX}${activeCategory}` : '#gallery';
+    history.replaceState(null, '', `${location.pathname}${location.search}${hash}`);
+    closeLightbox();
+}
+
 function openLightbox() {
     lightbox.classList.add('active');
     updateLightboxImage();
     document.body.style.overflow = 'hidden';
+    lightboxDialog.open();
 }
 
 function closeLightbox() {
+    lightboxHistory = null;
     lightbox.classList.remove('active');
+    lightboxGestures.reset();
     document.body.style.overflow = 'auto';
+    lightboxDialog.close();
 }
 
 function updateLightboxImage() {
-    const image = galleryImages[currentImageIndex];
+    const image = filteredImages[currentImageIndex];
+    const params = { current: currentImageIndex + 1, total: filteredImages.length };
+    const alt = getGalleryText(image.alt, currentLang);
+    lightboxGestures.reset();
     lightboxImg.src = image.src;
-    lightboxImg.alt = image.alt;
-    lightboxCounter.textContent = `${currentImageIndex + 1} / ${galleryImages.length}`;
+    lightboxImg.alt = alt;
+    lightboxCounter.textContent = `${params.current} / ${params.total}`;
+    lightboxShareFeedback.hidden = true;
+    renderLightboxInfo(image);
+    
+    // Browsing replaces the entry: Back still closes instead of stepping through images
+    if (lightboxHistory) {
+        history.replaceState(history.state, '', `${location.pathname}${location.search}${getImageHash(image)}`);
+    }
+}
+
+/**
+ * Fill the details panel and the screen reader status; fields the manifest
+ * leaves out are hidden
+ * @param {Object} image - Image from the manifest
+ */
+function renderLightboxInfo(image) {
+    const eventType = image.eventType ? t(`contact.form.eventType.types.${image.eventType}`) : '';
+    const fields = [
+        ['lightboxInfoTitle', getGalleryText(image.caption, currentLang)],
+        ['lightboxInfoDescription', getGalleryText(image.description, currentLang)],
+        ['lightboxInfoEventType', eventType ? formatText(t('gallery.lightbox.eventType'), { eventType }) : ''],
+        ['lightboxInfoCredit', image.credit ? formatText(t('gallery.lightbox.credit'), { credit: image.credit }) : '']
+    ];
+    
+    fields.forEach(([id, text]) => {
+        const element = document.getElementById(id);
+        element.textContent = text;
+        element.hidden = !text;
+    });
+    
+    // Position and alt text, plus the panel's text while it is shown
+    const position = formatText(t('gallery.lightbox.counter'), {
+        current: currentImageIndex + 1,
+        total: filteredImages.length
+    });
+    const details = isLightboxInfoShown ? fields.map(([, text]) => text).filter(Boolean) : [];
+    lightboxStatus.textContent = [`${position}: ${getGalleryText(image.alt, currentLang)}`, ...details]
+        .map(text => text.replace(/\.$/, ''))
+        .join('. ');
+}
+
+/**
+ * Show or hide the details panel
+ */
+function toggleLightboxInfo() {
+    isLightboxInfoShown = !isLightboxInfoShown;
+    lightboxInfo.hidden = !isLightboxInfoShown;
+    lightboxInfoToggle.setAttribute('aria-expanded', String(isLightboxInfoShown));
+    lightboxInfoToggle.classList.toggle('active', isLightboxInfoShown);
+    
+    if (isLightboxInfoShown) {
+        lightbox.setAttribute('aria-describedby', 'lightboxInfo');
+    } else {
+        lightbox.removeAttribute('aria-describedby');
+    }
+    // Announce the change right away, not with the next image
+    renderLightboxInfo(filteredImages[currentImageIndex]);
+}
+
+/**
+ * Share the link to the image shown: the system share sheet where available,
+ * the clipboard otherwise
+ */
+async function shareLightboxImage() {
+    const image = filteredImages[currentImageIndex];
+    const url = `${location.origin}${location.pathname}${location.search}${getImageHash(image)}`;
+    
+    if (navigator.share) {
+        try {
+            await navigator.share({ title: document.title, text: getGalleryText(image.caption, currentLang), url });
+        } catch (error) {
+            // Cancelled by the visitor: nothing to do
+        }
+        return;
+    }
+    
+    let messageKey = 'gallery.lightbox.linkCopied';
+    try {
+        await navigator.clipboard.writeText(url);
+    } catch (error) {
+        console.warn('Link could not be copied:', error);
+        messageKey = 'gallery.lightbox.linkFailed';
+    }
+    
+    applyTranslation(lightboxShareFeedback, messageKey);
+    lightboxShareFeedback.hidden = false;
+    lightboxStatus.textContent = t(messageKey);
+    clearTimeout(shareFeedbackTimer);
+    shareFeedbackTimer = setTimeout(() => {
+        lightboxShareFeedback.hidden = true;
+    }, 2500);
 }
 
 function showNextImage() {
-    currentImageIndex = (currentImageIndex + 1) % galleryImages.length;
+    currentImageIndex = (currentImageIndex + 1) % filteredImages.length;
+    updateLightboxImage();
+}
+
+function showPrevImage() {
+    currentImageIndex = (currentImageIndex - 1 + filteredImages.length) % filteredImages.length;
     updateLightboxImage();
 }
 
-function showPrevImage() {
-    currentImageIndex = (currentImageIndex - 1 + galleryImages.length) % galleryImages.length;
-    updateLightboxImage();
+// Touch gestures: swipe between images, pinch or double-tap to zoom, drag to pan
+// Set up before the background click listener so a drag never closes the lightbox
+const lightboxGestures = createImageGestures(lightbox, lightboxImg, {
+    onSwipe: direction => (direction === 'next' ? showNextImage() : showPrevImage())
+});
+
+// Lightbox controls
+lightboxClose.addEventListener('click', requestCloseLightbox);
+lightboxNext.addEventListener('click', showNextImage);
+lightboxPrev.addEventListener('click', showPrevImage);
+lightboxShare.addEventListener('click', shareLightboxImage);
+lightboxInfoToggle.addEventListener('click', toggleLightboxInfo);
+
+// Close lightbox on background click
+lightbox.addEventListener('click', (e) => {
+    if (e.target === lightbox) {
+        requestCloseLightbox();
+    }
+});
+
+// Keyboard navigation for lightbox
+document.addEventListener('keydown', (e) => {
+    if (lightbox.classList.contains('active')) {
+        switch(e.key) {
+            case 'Escape':
+                requestCloseLightbox();
+                break;
+            case 'ArrowRight':
+                showNextImage();
+                break;
+            case 'ArrowLeft':
+                showPrevImage();
+                break;
+            case 'i':
+            case 'I':
+                if (!e.ctrlKey && !e.metaKey && !e.altKey) {
+                    toggleLightboxInfo();
+                }
+                break;
+        }
+    }
+});
+
+onLanguageChange(localizeGallery);
+
+window.addEventListener('hashchange', () => {
+    const category = getCategoryFromHash(location.hash);
+    // Closing the lightbox with Back also lands on the category hash
+    if (category && galleryImages.length && category !== activeCategory) {
+        applyGalleryFilter(category, { updateHash: false });
+        scrollToGallery();
+    }
+});
+
+// Back closes the lightbox, Forward opens it again
+window.addEventListener('popstate', () => {
+    const index = galleryImages.length ? getImageIndexFromHash(location.hash) : -1;
+    const isOpen = lightbox.classList.contains('active');
+    
+    if (isOpen && index < 0) {
+        closeLightbox();
+    } else if (!isOpen && index >= 0) {
+        openLinkedImage(index);
+    }
+});
+
+// Wait for the variants too, so the grid never starts downloading the originals
+Promise.all([loadGalleryManifest(GALLERY_URL), imageVariantsReady])
+    .then(([images]) => {
+        galleryImages = images;
+        renderGallery();
+        renderGalleryFilters();
+        
+        const linkedCategory = getCategoryFromHash(location.hash);
+        const linkedImageIndex = getImageIndexFromHash(location.hash);
+        applyGalleryFilter(linkedCategory || '', { updateHash: false, animate: false });
+        if (linkedImageIndex >= 0) {
+            openLinkedImage(linkedImageIndex);
+        } else if (linkedCategory) {
+            scrollToGallery();
+        }
+    })
+    .catch(error => {
+        console.warn('Gallery manifest could not be loaded:', error);
+    });
+
+// ========================================
+// 6. STORIA SECTION - IMAGE SLIDER
+// Automatic slider that cycles through 6 images every 8 seconds
+// Manual controls with arrow buttons and dots
+// ========================================
+
+const storiaSliderImages = document.querySelectorAll('.storia-slider-img');
+const sliderArrowLeft = document.querySelector('.slider-arrow-left');
+const sliderArrowRight = document.querySelector('.slider-arrow-right');
+const sliderDots = document.querySelectorAll('.slider-dot');
+let currentSlideIndex = 0;
+let sliderInterval;
+
+function updateSlider() {
+    // Update images
+    storiaSliderImages.forEach((img, index) => {
+        img.classList.toggle('active', index === currentSlideIndex);
+    });
+    
+    // Update dots
+    sliderDots.forEach((dot, index) => {
+        dot.classList.toggle('active', index === currentSlideIndex);
+    });
+}
+
+function showNextSlide() {
+    // Move to next image (loop back to 0 if at the end)
+    currentSlideIndex = (currentSlideIndex + 1) % storiaSliderImages.length;
+    updateSlider();
+}
+
+function showPrevSlide() {
+    // Move to previous image (loop to last if at the beginning)
+    currentSlideIndex = (currentSlideIndex - 1 + storiaSliderImages.length) % storiaSliderImages.length;
+    updateSlider();
+}
+
+function goToSlide(index) {
+    currentSlideIndex = index;
+    updateSlider();
+}
+
+function resetSliderInterval() {
+    // Clear existing interval and start a new one
+    clearInterval(sliderInterval);
+    sliderInterval = setInterval(showNextSlide, 8000);
+}
+
+// Start the slider if images exist
+if (storiaSliderImages.length > 0) {
+    sliderInterval = setInterval(showNextSlide, 8000); // Change image every 8 seconds
+    
+    // Add click event listeners to arrow buttons
+    if (sliderArrowRight) {
+        sliderArrowRight.addEventListener('click', () => {
+            showNextSlide();
+            resetSliderInterval(); // Reset the auto-advance timer
+        });
+    }
+    
+    if (sliderArrowLeft) {
+        sliderArrowLeft.addEventListener('click', () => {
+            showPrevSlide();
+            resetSliderInterval(); // Reset the auto-advance timer
+        });
+    }
+    
+    // Add click event listeners to dots
+    sliderDots.forEach((dot, index) => {
+        dot.addEventListener('click', () => {
+            goToSlide(index);
+            resetSliderInterval(); // Reset the auto-advance timer
+        });
+    });
+}
+
+// ========================================
+// 7. LAZY LOADING AND RESPONSIVE IMAGES
+// Load images as they enter viewport for better performance
+// ========================================
+
+const lazyImages = document.querySelectorAll('img[loading="lazy"]');
+
+// Use Intersection Observer API for efficient lazy loading
+if ('IntersectionObserver' in window) {
+    const imageObserver = new IntersectionObserver((entries, observer) => {
+        entries.forEach(entry => {
+            if (entry.isIntersecting) {
+                const img = entry.target;
+                // Image will load automatically due to loading="lazy" attribute
+                observer.unobserve(img);
+            }
+        });
+    });
+    
+    lazyImages.forEach(img => imageObserver.observe(img));
+}
+
+// On deploy, tools/build-images.js writes the srcset of the event photos, the
+// Storia slider and the hero into the HTML, so the browser picks a variant
+// before any script runs; the manifest (loaded in section 5) only adds the blur-up
+imageVariantsReady.then(() => {
+    showPicturePlaceholders(document, imageVariants);
+});
+
+// ========================================
+// 8. FORM VALIDATION
+// Client-side validation for contact form
+// ========================================
+
+const contactForm = document.getElementById('contactForm');
+const thankYouPopup = document.getElementById('thankYouPopup');
+const popupClose = document.getElementById('popupClose');
+const errorPopup = document.getElementById('errorPopup');
+const errorPopupClose = document.getElementById('errorPopupClose');
+const errorPopupMailto = document.getElementById('errorPopupMailto');
+const submitBtn = contactForm.querySelector('.submit-btn');
+const FORM_SEND_TIMEOUT = 15000;  // ms: a connection that stalls longer counts as offline
+const CONTACT_EMAIL = 'balma.eventi@gmail.com';
+const CONTACT_PHONE = '+39 338 787 9442';
+const VENUE_ADDRESS = 'BALMA, Via XXXIV Maggio 6, 22063 Cantù (CO), Italia';
+const eventDateInput = document.getElementById('eventDate');
+
+// Booked days from data/availability.json (see VENUE AVAILABILITY below)
+let bookedDates = new Set();
+
+/**
+ * First bookable event date: at least 2 days from today
+ * @returns {Date}
+ */
+function getMinEventDate() {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    return addDays(today, 2);
+}
+
+/**
+ * Labels of the date picker in the current language
+ * @returns {Object}
+ */
+function getDatePickerLabels() {
+    return {
+        dialog: t('datepicker.dialog'),
+        previousMonth: t('datepicker.previousMonth'),
+        nextMonth: t('datepicker.nextMonth'),
+        unavailable: t('datepicker.unavailable')
+    };
+}
+
+// Calendar popup for #eventDate: shows a localized date, submits the ISO value
+const eventDatePicker = createDatePicker(eventDateInput, document.getElementById('eventDateValue'), {
+    locale: getLanguageConfig(currentLang).locale,
+    firstDayOfWeek: getLanguageConfig(currentLang).firstDayOfWeek,
+    labels: getDatePickerLabels(),
+    getMinDate: getMinEventDate,
+    isDateDisabled: iso => bookedDates.has(iso)
+});
+
+onLanguageChange(lang => {
+    const config = getLanguageConfig(lang);
+    eventDatePicker.setLocale(config.locale, config.firstDayOfWeek, getDatePickerLabels());
+});
+
+// Declarative rules for every field: used on blur and on submit
+const contactValidator = createFormValidator(contactForm, {
+    name: {
+        rules: [{ check: VALIDATION_RULES.required, message: 'contact.form.name.error' }]
+    },
+    email: {
+        rules: [{ check: VALIDATION_RULES.email, message: 'contact.form.email.error' }]
+    },
+    phone: {
+        rules: [
+            { check: VALIDATION_RULES.required, message: 'contact.form.phone.error' },
+            // Without a prefix a number is taken as Italian, whatever the page language
+            { check: value => isValidPhoneNumber(value), message: 'contact.form.phone.invalid' }
+        ]
+    },
+    eventDate: {
+        // ISO value from the date picker; checked when a date is picked, as
+        // focus leaves the text box while the calendar is open
+        getValue: () => eventDatePicker.getValue(),
+        trigger: 'change',
+        rules: [
+            {
+                check: iso => Boolean(parseISODate(iso)) && parseISODate(iso) >= getMinEventDate(),
+                message: 'contact.form.eventDate.error'
+            },
+            { check: iso => !bookedDates.has(iso), message: 'contact.form.eventDate.booked' }
+        ]
+    },
+    guests: {
+        rules: [{ check: VALIDATION_RULES.min(1), message: 'contact.form.guests.error' }]
+    },
+    visitSlot: {
+        trigger: 'change',
+        rules: [
+            { check: value => value !== '' || visitMethodSelect.value === '', message: 'contact.visit.errors.missing' },
+            ...['unavailable', 'tooSoon', 'venueBusy', 'afterEvent'].map(conflict => ({
+                check: value => getVisitSlotConflict(value) !== conflict,
+                message: `contact.visit.errors.${conflict}`
+            }))
+        ]
+    },
+    eventType: {
+        trigger: 'change',
+        rules: [{ check: VALIDATION_RULES.required, message: 'contact.form.eventType.error' }]
+    },
+    message: {
+        rules: [{ check: VALIDATION_RULES.required, message: 'contact.form.message.error' }]
+    }
+}, {
+    renderMessage: applyTranslation
+});
+
+// The hidden ISO value is not cleared by form.reset()
+contactForm.addEventListener('reset', () => {
+    eventDatePicker.setValue(null);
+});
+
+contactForm.addEventListener('submit', async (e) => {
+    // Enter on an earlier wizard step moves on instead of submitting
+    if (!isLastFormStep()) {
+        e.preventDefault();
+        goToFormStep(currentStepIndex + 1);
+        return false;
+    }
+    
+    const firstInvalid = contactValidator.validateAll();
+    
+    // If form is NOT valid, prevent submission and take the user to the first error,
+    // which may sit on an earlier step
+    if (firstInvalid) {
+        e.preventDefault();
+        showFormStep(getFormStepIndex(firstInvalid));
+        firstInvalid.focus();
+        return false;
+    }
+    
+    // If valid, send it in the background and report the real outcome
+    e.preventDefault();
+    
+    if (submitBtn.disabled) {
+        return false;  // Already sending
+    }
+    
+    // A person caught by mistake (e.g. by a very quick autofill) is asked to retry,
+    // and keeps the ready-made email as a way out
+    const spamCheck = checkSpam();
+    if (spamCheck) {
+        showErrorPopup(spamCheck);
+        return false;
+    }
+    
+    setSubmitLoading(true);
+    try {
+        powTokenInput.value = await getProofOfWorkToken();
+        const sent = await sendContactForm();
+        if (sent) {
+            recordSubmission(Date.now());
+            clearDraft();  // Only a confirmed delivery discards the draft
+            showThankYouPopup();
+        } else {
+            showErrorPopup();
+        }
+    } catch (error) {
+        // Offline, a poor signal that timed out or a request that never got an
+        // answer: the request is kept for later. Anything else is reported
+        if (!isConnectionFailure(error)) {
+            console.warn('Form submission failed:', error);
+            showErrorPopup();
+            return false;
+        }
+        console.warn('Form submission failed for lack of connectivity, queueing it:', error);
+        if (await queueContactForm()) {
+            recordSubmission(Date.now());
+            showThankYouPopup(true);
+        } else {
+            showErrorPopup();
+        }
+    } finally {
+        setSubmitLoading(false);
+    }
+});
+
+/**
+ * Endpoint the form posts to: its Formspree action
+ * On localhost, ?formEndpoint=<url> points it at a stub (see tools/form-stub-server.js)
+ * @returns {string}
+ */
+function getFormEndpoint() {
+    const isLocal = ['localhost', '127.0.0.1'].includes(window.location.hostname);
+    const override = new URLSearchParams(window.location.search).get('formEndpoint');
+    return isLocal && override ? override : contactForm.action;
+}
+
+/**
+ * Collect the fields to submit, with the phone number in E.164
+ * and the indicative quote with its breakdown
+ * @returns {FormData}
+ */
+function getContactFormData() {
+    const formData = new FormData(contactForm);
+    const phone = normalizePhoneNumber(formData.get('phone'));
+    const estimate = getQuoteEstimate();
+    
+    if (phone) {
+        formData.set('phone', phone);
+    }
+    if (estimate) {
+        // The team reads requests in Italian, whatever language the visitor used
+        formData.set('estimate', formatEstimateAmount(estimate, DEFAULT_LANG));
+        formData.set('estimateBreakdown', estimate.lines
+            .map(line => `${describeEstimateLine(line, DEFAULT_LANG)}: ${formatEstimateAmount(line, DEFAULT_LANG)}`)
+            .join('\n'));
+    }
+    return formData;
+}
+
+/**
+ * Send the form without leaving the page
+ * Gives up after FORM_SEND_TIMEOUT, so a stalled connection cannot keep the
+ * submit button spinning
+ * @returns {Promise<boolean>} True on a 2xx response
+ */
+async function sendContactForm() {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), FORM_SEND_TIMEOUT);
+    
+    try {
+        const response = await fetch(getFormEndpoint(), {
+            method: 'POST',
+            body: getContactFormData(),
+            headers: { Accept: 'application/json' },
+            signal: controller.signal
+        });
+        return response.ok;
+    } finally {
+        clearTimeout(timeout);
+    }
+}
+
+/**
+ * Whether a failed send is worth retrying once the connection is back
+ * @param {Error} error - Rejection from sendContactForm()
+ * @returns {boolean} True when offline, on a timeout or on a network error
+ */
+function isConnectionFailure(error) {
+    // fetch rejects with a TypeError when the request gets no response at all
+    return !navigator.onLine || ['AbortError', 'TypeError'].includes(error.name);
+}
+
+/**
+ * Toggle the sending state of the submit button
+ * @param {boolean} isLoading
+ */
+function setSubmitLoading(isLoading) {
+    submitBtn.disabled = isLoading;
+    submitBtn.classList.toggle('loading', isLoading);
+    submitBtn.setAttribute('aria-busy', String(isLoading));
+    applyTranslation(submitBtn, isLoading ? 'contact.form.sending' : 'contact.form.submit');
+}
+
+/**
+ * Build a mailto: link carrying the filled-in form, for when sending fails
+ * @returns {string}
+ */
+function buildMailtoLink() {
+    const lines = [];
+    
+    getContactFormData().forEach((value, name) => {
+        if (name.startsWith('_') || String(value).trim() === '') {
+            return;
+        }
+        // Use the visible label, without the required marker
+        const label = contactForm.querySelector(`label[for="${name}"]`);
+        const title = label ? label.textContent.replace('*', '').trim() : name;
+        lines.push(`${title}: ${value}`);
+    });
+    
+    const subject = contactForm.querySelector('input[name="_subject"]').value;
+    return `mailto:${CONTACT_EMAIL}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(lines.join('\r\n'))}`;
+}
+
+// Both popups are modal dialogs: focus moves in and comes back on close
+const errorPopupDialog = createModalDialog(errorPopup, { onEscape: () => closeErrorPopup() });
+const thankYouPopupDialog = createModalDialog(thankYouPopup, { onEscape: () => closeThankYouPopup() });
+
+/**
+ * Show the error popup with a ready-made email as fallback
+ * @param {string} [spamCheck] - Result of checkSpam() when that stopped the request:
+ *   'rateLimited' or 'bot'
+ */
+function showErrorPopup(spamCheck) {
+    const messageKey = {
+        rateLimited: 'popup.error.rateLimited',
+        bot: 'popup.error.retry'
+    }[spamCheck] || 'popup.error.message';
+    applyTranslation(errorPopup.querySelector('.popup-message'), messageKey);
+    
+    errorPopupMailto.href = buildMailtoLink();
+    errorPopup.classList.add('active');
+    errorPopupDialog.open();
+}
+
+function closeErrorPopup() {
+    // Keep the form filled in so the visitor can retry
+    errorPopup.classList.remove('active');
+    errorPopupDialog.close();
+}
+
+const popupCalendar = document.getElementById('popupCalendar');
+const calendarGoogle = document.getElementById('calendarGoogle');
+const calendarOutlook = document.getElementById('calendarOutlook');
+let requestedEvent = null;
+let requestSentAt = null;
+
+/**
+ * Calendar entry for the request just sent: an all-day, tentative event
+ * Built before the form is reset, in the visitor's language
+ * @returns {Object|null} Event for buildICS(), null without a date
+ */
+function buildRequestedEvent() {
+    const date = parseISODate(eventDatePicker.getValue());
+    if (!date) {
+        return null;
+    }
+    
+    const eventTypeName = eventTypeSelect.value
+        ? t(`contact.form.eventType.types.${eventTypeSelect.value}`)
+        : t('popup.calendar.event');
+    
+    return {
+        uid: `event-${toISODate(date)}-${Date.now()}@balmaeventi.com`,
+        start: date,
+        allDay: true,
+        summary: formatText(t('popup.calendar.summary'), { eventType: eventTypeName }),
+        description: formatText(t('popup.calendar.description'), {
+            guests: guestsInput.value,
+            phone: CONTACT_PHONE,
+            email: CONTACT_EMAIL
+        }),
+        location: VENUE_ADDRESS,
+        status: 'TENTATIVE'
+    };
+}
+
+/**
+ * Show the confirmation popup
+ * @param {boolean} isQueued - True when the request waits in the offline outbox
+ */
+function showThankYouPopup(isQueued = false) {
+    const textKey = isQueued ? 'popup.queued' : 'popup.thankYou';
+    applyTranslation(thankYouPopup.querySelector('.popup-title'), `${textKey}.title`);
+    applyTranslation(thankYouPopup.querySelector('.popup-message'), `${textKey}.message`);
+    
+    requestedEvent = buildRequestedEvent();
+    requestSentAt = new Date();
+    popupCalendar.hidden = !requestedEvent;
+    if (requestedEvent) {
+        calendarGoogle.href = buildGoogleCalendarUrl(requestedEvent);
+        calendarOutlook.href = buildOutlookCalendarUrl(requestedEvent);
+    }
+    
+    // Stays open until closed: the summary and calendar actions need the filled-in form
+    thankYouPopup.classList.add('active');
+    thankYouPopupDialog.open();
+}
+
+function closeThankYouPopup() {
+    thankYouPopup.classList.remove('active');
+    contactForm.reset();
+    contactValidator.reset();
+    updateCapacityWarning();
+    updateEventDetails();
+    renderQuoteEstimate();
+    renderVisitSlots();
+    
+    // The submit button that opened the popup is hidden on the first step:
+    // focus goes to the first field of the emptied form instead
+    thankYouPopupDialog.close({ restoreFocus: false });
+    showFormStep(0, { focus: true });
+}
+
+document.getElementById('calendarIcs').addEventListener('click', () => {
+    if (requestedEvent) {
+        downloadICS('balma-evento.ics', buildICS([requestedEvent]));
+    }
+});
+
+// ========================================
+// PRINTABLE REQUEST SUMMARY
+// Printed from the thank-you popup, before the form is reset;
+// "Save as PDF" in the print dialog gives the visitor a copy
+// ========================================
+
+/**
+ * Filled-in fields of the form, in the order they appear
+ * Fields hidden for the chosen event type are left out
+ * @returns {Object[]} { label, value } pairs in the current language
+ */
+function getSummaryRows() {
+    const rows = [];
+    
+    contactForm.querySelectorAll('.form-step label[for]').forEach(label => {
+        const field = document.getElementById(label.htmlFor);
+        if (!field || field.disabled) {
+            return;
+        }
+        
+        let value = field.value.trim();
+        if (field.type === 'checkbox') {
+            value = field.checked ? t('summary.yes') : '';
+        } else if (field.tagName === 'SELECT' && value) {
+            const option = field.selectedOptions[0];
+            // Visit slots only show the time, their day is the group label
+            value = option.parentElement.tagName === 'OPTGROUP'
+                ? `${option.parentElement.label}, ${option.textContent}`
+                : option.textContent;
+        }
+        
+        if (value) {
+            rows.push({ label: label.textContent.replace('*', '').trim(), value });
+        }
+    });
+    
+    return rows;
+}
+
+/**
+ * Fill the summary section with the request just sent
+ */
+function renderPrintSummary() {
+    const fields = document.getElementById('printSummaryFields');
+    const estimateBlock = document.getElementById('printSummaryEstimate');
+    const estimateLines = document.getElementById('printSummaryEstimateLines');
+    const estimate = getQuoteEstimate();
+    const dateFormat = new Intl.DateTimeFormat(getLanguageConfig(currentLang).locale, { dateStyle: 'long', timeStyle: 'short' });
+    
+    document.getElementById('printSummaryDate').textContent = formatText(t('summary.sentOn'), {
+        date: dateFormat.format(requestSentAt || new Date())
+    });
+    
+    fields.replaceChildren(...getSummaryRows().flatMap(({ label, value }) => {
+        const term = document.createElement('dt');
+        const description = document.createElement('dd');
+        term.textContent = label;
+        description.textContent = value;
+        return [term, description];
+    }));
+    
+    estimateBlock.hidden = !estimate;
+    if (estimate) {
+        const lines = estimate.lines.map(line => [describeEstimateLine(line, currentLang), formatEstimateAmount(line, currentLang)]);
+        lines.push([t('summary.total'), formatEstimateAmount(estimate, currentLang)]);
+        
+        estimateLines.replaceChildren(...lines.map(([text, amount], index) => {
+            const row = document.createElement('tr');
+            row.className = index === lines.length - 1 ? 'total' : '';
+            [text, amount].forEach(content => {
+                const cell = document.createElement('td');
+                cell.textContent = content;
+                row.appendChild(cell);
+            });
+            return row;
+        }));
+    }
+    
+    // Same company details as the legal section, already in the current language
+    document.getElementById('printSummaryLegal').replaceChildren(
+        ...Array.from(document.querySelectorAll('.legal-section .legal-block'), block => block.cloneNode(true))
+    );
+}
+
+document.getElementById('summaryDownload').addEventListener('click', () => {
+    renderPrintSummary();
+    document.body.classList.add('printing-summary');
+    window.print();
+});
+
+// Back to the normal print layout once the dialog is closed
+window.addEventListener('afterprint', () => {
+    document.body.classList.remove('printing-summary');
+});
+
+// Close popup on X click
+if (popupClose) {
+    popupClose.addEventListener('click', closeThankYouPopup);
+}
+
+// Close popup on background click
+thankYouPopup.addEventListener('click', (e) => {
+    if (e.target === thankYouPopup) {
+        closeThankYouPopup();
+    }
+});
+
+// Error popup: X button and background click
+errorPopupClose.addEventListener('click', closeErrorPopup);
+errorPopup.addEventListener('click', (e) => {
+    if (e.target === errorPopup) {
+        closeErrorPopup();
+    }
+});
+
+// ========================================
+// LAYOUT CAPACITY CHECK
+// Warn when the guests don't fit the preferred layout (see LAYOUTS)
+// ========================================
+
+const guestsInput = document.getElementById('guests');
+const layoutSelect = document.getElementById('layout');
+const layoutWarning = document.getElementById('layoutWarning');
+
+/**
+ * Build the capacity warning for the current guests and layout
+ * @returns {string|null} Translated warning, or null if everything fits
+ */
+function getCapacityWarning() {
+    const guests = parseInt(guestsInput.value, 10);
+    if (!(guests > 0)) {
+        return null;
+    }
+    
+    if (guests > MAX_CAPACITY) {
+        return formatText(t('contact.form.layout.overMaxCapacity') || '', { capacity: MAX_CAPACITY });
+    }
+    
+    const layout = getLayout(layoutSelect.value);
+    if (!layout || guests <= layout.capacity) {
+        return null;
+    }
+    
+    const alternatives = LAYOUTS
+        .filter(other => other.capacity >= guests)
+        .map(other => t(`setup.layouts.${other.id}.tab`))
+        .join(', ');
+    
+    return formatText(t('contact.form.layout.overCapacity') || '', {
+        layout: t(`setup.layouts.${layout.id}.tab`),
+        capacity: layout.capacity,
+        alternatives
+    });
+}
+
+/**
+ * Show or hide the capacity warning; it never blocks the submission
+ */
+function updateCapacityWarning() {
+    const warning = getCapacityWarning();
+    
+    layoutWarning.textContent = warning || '';
+    layoutSelect.closest('.form-group').classList.toggle('warning', Boolean(warning));
+}
+
+guestsInput.addEventListener('input', updateCapacityWarning);
+layoutSelect.addEventListener('change', updateCapacityWarning);
+onLanguageChange(updateCapacityWarning);
+
+// ========================================
+// EVENT TYPE DETAILS
+// Show the detail fields that matter for the selected event type
+// ========================================
+
+// Detail fields per event type (data-event-field in the form)
+// Names are in the catalogs under contact.form.eventType.types.<id>
+const EVENT_TYPES = [
+    { id: 'baptism', fields: ['catering', 'garden', 'floral', 'photographer'] },
+    { id: 'birthday', fields: ['catering', 'tv', 'garden', 'floral', 'photographer'] },
+    { id: 'corporate', fields: ['catering', 'tv', 'garden'] },
+    { id: 'dinner', fields: ['catering', 'garden', 'floral'] },
+    { id: 'other', fields: ['catering', 'tv', 'garden', 'floral', 'photographer'] }
+];
+
+const eventTypeSelect = document.getElementById('eventType');
+const eventDetails = document.getElementById('eventDetails');
+
+/**
+ * @param {string} id - Event type id (e.g. 'baptism')
+ * @returns {Object|null} Entry from EVENT_TYPES
+ */
+function getEventType(id) {
+    return EVENT_TYPES.find(eventType => eventType.id === id) || null;
+}
+
+/**
+ * Reveal the detail fields of the selected type
+ * Hidden fields are disabled too, so they are left out of the submission
+ */
+function updateEventDetails() {
+    const eventType = getEventType(eventTypeSelect.value);
+    const fields = eventType ? eventType.fields : [];
+    
+    eventDetails.querySelectorAll('[data-event-field]').forEach(group => {
+        const isShown = fields.includes(group.getAttribute('data-event-field'));
+        group.hidden = !isShown;
+        group.querySelectorAll('input, select, textarea').forEach(control => {
+            control.disabled = !isShown;
+        });
+    });
+    eventDetails.hidden = fields.length === 0;
+}
+
+eventTypeSelect.addEventListener('change', updateEventDetails);
+updateEventDetails();
+
+// ========================================
+// QUOTE ESTIMATE
+// Live indicative range from data/prices.json (see estimator.js)
+// ========================================
+
+const PRICES_URL = 'data/prices.json';
+const quoteEstimate = document.getElementById('quoteEstimate');
+const quoteEstimateRange = document.getElementById('quoteEstimateRange');
+const quoteEstimateLines = document.getElementById('quoteEstimateLines');
+
+// Price table, null until loaded (the estimate stays hidden without it)
+let prices = null;
+
+/**
+ * @returns {Object|null} Estimate for the form as filled in, null if prices or inputs are missing
+ */
+function getQuoteEstimate() {
+    if (!prices) {
+        return null;
+    }
+    
+    // Disabled fields belong to another event type and do not count
+    const isTicked = name => {
+        const field = contactForm.elements[name];
+        return Boolean(field && field.checked && !field.disabled);
+    };
+    const catering = contactForm.elements.catering;
+    
+    return estimateQuote(prices, {
+        date: parseISODate(eventDatePicker.getValue()),
+        duration: contactForm.elements.duration.value,
+        guests: Number(guestsInput.value),
+        catering: catering.disabled ? '' : catering.value,
+        addOns: Object.keys(prices.addOns).filter(isTicked)
+    });
+}
+
+/**
+ * Word an estimate line
+ * @param {Object} line - Line from estimateQuote()
+ * @param {string} lang - Language code
+ * @returns {string}
+ */
+function describeEstimateLine(line, lang) {
+    const { params } = line;
+    
+    switch (line.id) {
+        case 'rental':
+            return formatText(t(`contact.estimate.lines.rental.${params.duration}`, lang), {
+                dayType: t(`contact.estimate.${params.dayType}`, lang)
+            });
+        case 'service':
+            return formatText(t('contact.estimate.lines.service', lang), params);
+        case 'catering':
+            return formatText(t('contact.estimate.lines.catering', lang), {
+                catering: t(`contact.form.details.catering.${params.catering}`, lang),
+                guests: params.guests
+            });
+        default:
+            return t(`contact.estimate.lines.${params.addOn}`, lang) || params.addOn;
+    }
+}
+
+/**
+ * @param {Object} estimate - Estimate or one of its lines
+ * @param {string} lang - Language code
+ * @returns {string} Price range in the language's number format
+ */
+function formatEstimateAmount(estimate, lang) {
+    return formatPriceRange(estimate.min, estimate.max, getLanguageConfig(lang).locale, prices.currency);
+}
+
+/**
+ * Show the current estimate, or what is still missing to compute it
+ */
+function renderQuoteEstimate() {
+    if (!prices) {
+        return;
+    }
+    
+    const estimate = getQuoteEstimate();
+    quoteEstimate.hidden = false;
+    quoteEstimateRange.classList.toggle('hint', !estimate);
+    quoteEstimateRange.textContent = estimate
+        ? formatEstimateAmount(estimate, currentLang)
+        : t('contact.estimate.hint');
+    
+    quoteEstimateLines.innerHTML = '';
+    (estimate ? estimate.lines : []).forEach(line => {
+        const item = document.createElement('li');
+        const label = document.createElement('span');
+        const amount = document.createElement('span');
+        label.textContent = describeEstimateLine(line, currentLang);
+        amount.textContent = formatEstimateAmount(line, currentLang);
+        item.append(label, amount);
+        quoteEstimateLines.appendChild(item);
+    });
+}
+
+contactForm.addEventListener('input', renderQuoteEstimate);
+contactForm.addEventListener('change', renderQuoteEstimate);
+onLanguageChange(renderQuoteEstimate);
+
+if (quoteEstimate) {
+    loadPrices(PRICES_URL)
+        .then(table => {
+            // Amounts the venue has not checked yet must never reach visitors as a
+            // quote: until then the estimate simply stays hidden
+            if (table.confirmed) {
+                prices = table;
+                renderQuoteEstimate();
+            }
+        })
+        .catch(error => {
+            // No estimate, the form works as before
+            console.warn('Price table could not be loaded:', error);
+        });
+}
+
+// ========================================
+// SITE VISIT BOOKING
+// Optional visit or call on the "Visita" step, from data/visit-slots.json
+// (see visits.js); the chosen slot is submitted and offered as an .ics invite
+// ========================================
+
+const VISIT_SLOTS_URL = 'data/visit-slots.json';
+const visitBooking = document.getElementById('visitBooking');
+const visitMethodSelect = document.getElementById('visitMethod');
+const visitSlotSelect = document.getElementById('visitSlot');
+const visitDownload = document.getElementById('visitDownload');
+
+// Filled once the slots file is loaded
+let visitSlots = [];
+let visitTimeZone = 'Europe/Rome';
+
+/**
+ * @param {string} id - Slot id (its ISO start)
+ * @returns {Object|undefined}
+ */
+function findVisitSlot(id) {
+    return visitSlots.find(slot => slot.id === id);
+}
+
+/**
+ * @param {string} id - Chosen slot, '' for none
+ * @returns {string|null} Conflict id from getVisitConflict(), null if none
+ */
+function getVisitSlotConflict(id) {
+    if (!id) {
+        return null;
+    }
+    return getVisitConflict(findVisitSlot(id), {
+        method: visitMethodSelect.value,
+        now: new Date(),
+        timeZone: visitTimeZone,
+        bookedDates,
+        eventDate: eventDatePicker.getValue()
+    });
+}
+
+/**
+ * List the upcoming slots for the chosen method, grouped by day
+ * Times are shown at the venue, whatever the visitor's time zone
+ */
+function renderVisitSlots() {
+    const method = visitMethodSelect.value;
+    const selected = visitSlotSelect.value;
+    const locale = getLanguageConfig(currentLang).locale;
+    const dayFormat = new Intl.DateTimeFormat(locale, { timeZone: visitTimeZone, weekday: 'long', day: 'numeric', month: 'long' });
+    const timeFormat = new Intl.DateTimeFormat(locale, { timeZone: visitTimeZone, hour: '2-digit', minute: '2-digit' });
+    const now = new Date();
+    let group = null;
+    let groupDay = null;
+    
+    visitSlotSelect.innerHTML = '';
+    visitSlotSelect.appendChild(new Option(t('contact.visit.slot.none') || '', ''));
+    
+    visitSlots
+        .filter(slot => slot.start > now && slot.methods.includes(method))
+        .forEach(slot => {
+            const day = getVenueISODate(slot.start, visitTimeZone);
+            if (day !== groupDay) {
+                group = document.createElement('optgroup');
+                group.label = dayFormat.format(slot.start);
+                visitSlotSelect.appendChild(group);
+                groupDay = day;
+            }
+            
+            const time = timeFormat.format(slot.start);
+            const option = new Option(slot.taken ? `${time} (${t('contact.visit.slot.taken')})` : time, slot.id);
+            option.disabled = slot.taken;
+            group.appendChild(option);
+        });
+    
+    // Keep the choice if it is still on offer
+    visitSlotSelect.value = selected;
+    if (visitSlotSelect.value !== selected) {
+        visitSlotSelect.value = '';
+    }
+    visitSlotSelect.disabled = !method;
+    visitDownload.disabled = !visitSlotSelect.value;
+}
+
+/**
+ * Calendar entry for the chosen visit, in the visitor's language
+ * @param {Object} slot - Slot from parseVisitSlots()
+ * @param {string} method - 'inPerson' or 'call'
+ * @returns {Object} Event for buildICS()
+ */
+function buildVisitEvent(slot, method) {
+    return {
+        uid: `visit-${slot.start.getTime()}@balmaeventi.com`,
+        start: slot.start,
+        end: slot.end,
+        summary: t(`contact.visit.ics.${method}`),
+        description: formatText(t('contact.visit.ics.description'), { phone: CONTACT_PHONE, email: CONTACT_EMAIL }),
+        location: method === 'inPerson' ? VENUE_ADDRESS : '',
+        status: 'TENTATIVE'
+    };
+}
+
+visitMethodSelect.addEventListener('change', () => {
+    renderVisitSlots();
+    // Re-check a kept slot, or clear an error about one that is gone
+    if (visitSlotSelect.value || visitSlotSelect.closest('.form-group').classList.contains('error')) {
+        contactValidator.validateField('visitSlot');
+    }
+});
+
+visitSlotSelect.addEventListener('change', () => {
+    visitDownload.disabled = !visitSlotSelect.value;
+});
+
+// A new event date can rule out a visit planned after it
+eventDateInput.addEventListener('change', () => {
+    if (visitSlotSelect.value) {
+        contactValidator.validateField('visitSlot');
+    }
+});
+
+visitDownload.addEventListener('click', () => {
+    if (!contactValidator.validateField('visitSlot')) {
+        visitSlotSelect.focus();
+        return;
+    }
+    const event = buildVisitEvent(findVisitSlot(visitSlotSelect.value), visitMethodSelect.value);
+    downloadICS('balma-sopralluogo.ics', buildICS([event]));
+});
+
+onLanguageChange(renderVisitSlots);
+
+if (visitBooking) {
+    loadVisitSlots(VISIT_SLOTS_URL)
+        .then(({ timeZone, slots }) => {
+            // Nothing left to book: visits are arranged by reply, as without the file
+            if (!hasBookableVisitSlot(slots, new Date())) {
+                return;
+            }
+            visitSlots = slots;
+            visitTimeZone = timeZone;
+            renderVisitSlots();
+            visitBooking.hidden = false;
+        })
+        .catch(error => {
+            // No booking widget: visits are arranged by reply as before
+            console.warn('Visit slots could not be loaded:', error);
+        });
+}
+
+// ========================================
+// QUOTE WIZARD
+// The form in four steps named after "Come Amiamo Lavorare", validated
+// step by step; #contact/<step> links straight to a step
+// ========================================
+
+const WIZARD_HASH_PREFIX = '#contact/';
+const formSteps = Array.from(contactForm.querySelectorAll('.form-step'));
+const wizardProgress = contactForm.querySelector('.wizard-progress');
+const wizardProgressSteps = Array.from(wizardProgress.querySelectorAll('.wizard-progress-step'));
+const wizardNav = contactForm.querySelector('.wizard-nav');
+const wizardBack = wizardNav.querySelector('.wizard-back');
+const wizardNext = wizardNav.querySelector('.wizard-next');
+let currentStepIndex = 0;
+
+/**
+ * @param {string} hash - e.g. '#contact/visit'
+ * @returns {number} Index of the step it names, or -1
+ */
+function getStepIndexFromHash(hash) {
+    if (!hash.startsWith(WIZARD_HASH_PREFIX)) {
+        return -1;
+    }
+    const name = hash.slice(WIZARD_HASH_PREFIX.length);
+    return formSteps.findIndex(step => step.getAttribute('data-step') === name);
+}
+
+/**
+ * @param {HTMLElement} element - A form control
+ * @returns {number} Index of the step holding it
+ */
+function getFormStepIndex(element) {
+    return Math.max(0, formSteps.findIndex(step => step.contains(element)));
+}
+
+/**
+ * @returns {boolean} True on the step with the submit button
+ */
+function isLastFormStep() {
+    return currentStepIndex === formSteps.length - 1;
+}
+
+/**
+ * Show one step of the wizard
+ * @param {number} index - Step to show
+ * @param {Object} [options]
+ * @param {boolean} [options.focus] - Move focus to the first field of the step
+ * @param {boolean} [options.updateHash] - Write #contact/<step> into the URL (default true)
+ */
+function showFormStep(index, { focus = false, updateHash = true } = {}) {
+    currentStepIndex = Math.max(0, Math.min(index, formSteps.length - 1));
+    
+    formSteps.forEach((step, i) => {
+        step.hidden = i !== currentStepIndex;
+    });
+    wizardProgressSteps.forEach((button, i) => {
+        button.classList.toggle('active', i === currentStepIndex);
+        button.classList.toggle('complete', i < currentStepIndex);
+        if (i === currentStepIndex) {
+            button.setAttribute('aria-current', 'step');
+        } else {
+            button.removeAttribute('aria-current');
+        }
+    });
+    
+    wizardBack.hidden = currentStepIndex === 0;
+    wizardNext.hidden = isLastFormStep();
+    submitBtn.hidden = !isLastFormStep();
+    
+    if (updateHash) {
+        const stepName = formSteps[currentStepIndex].getAttribute('data-step');
+        history.replaceState(history.state, '', `${location.pathname}${location.search}${WIZARD_HASH_PREFIX}${stepName}`);
+    }
+    if (focus) {
+        const firstField = formSteps[currentStepIndex].querySelector('input:not([type="hidden"]):not(:disabled), select:not(:disabled), textarea');
+        if (firstField) {
+            firstField.focus();
+        }
+    }
+}
+
+/**
+ * Move to a step; going forward, every step on the way must be valid
+ * @param {number} index - Target step
+ */
+function goToFormStep(index) {
+    for (let i = currentStepIndex; i < index; i++) {
+        const firstInvalid = contactValidator.validateWithin(formSteps[i]);
+        if (firstInvalid) {
+            showFormStep(i);
+            firstInvalid.focus();
+            return;
+        }
+    }
+    showFormStep(index, { focus: true });
 }
 
-// Lightbox controls
-lightboxClose.addEventListener('click', closeLightbox);
-lightboxNext.addEventListener('click', showNextImage);
-lightboxPrev.addEventListener('click', showPrevImage);
+/**
+ * Bring the form into view, below the fixed navbar
+ */
+function scrollToContactForm() {
+    window.scrollTo({ top: contactForm.getBoundingClientRect().top + window.pageYOffset - navbar.offsetHeight });
+}
 
-// Close lightbox on background click
-lightbox.addEventListener('click', (e) => {
-    if (e.target === lightbox) {
-        closeLightbox();
-    }
+wizardBack.addEventListener('click', () => goToFormStep(currentStepIndex - 1));
+wizardNext.addEventListener('click', () => goToFormStep(currentStepIndex + 1));
+wizardProgressSteps.forEach((button, i) => {
+    button.addEventListener('click', () => goToFormStep(i));
 });
 
-// Keyboard navigation for lightbox
-document.addEventListener('keydown', (e) => {
-    if (lightbox.classList.contains('active')) {
-        switch(e.key) {
-            case 'Escape':
-                closeLightbox();
-                break;
-            case 'ArrowRight':
-                showNextImage();
-                break;
-            case 'ArrowLeft':
-                showPrevImage();
-                break;
-        }
+window.addEventListener('hashchange', () => {
+    const index = getStepIndexFromHash(location.hash);
+    if (index >= 0) {
+        showFormStep(index, { updateHash: false });
+        scrollToContactForm();
     }
 });
 
+// Without this script the form stays a single page with native validation;
+// here native bubbles could point at fields on hidden steps
+contactForm.noValidate = true;
+wizardProgress.hidden = false;
+wizardNav.hidden = false;
+
+const linkedStepIndex = getStepIndexFromHash(location.hash);
+showFormStep(Math.max(linkedStepIndex, 0), { updateHash: false });
+if (linkedStepIndex >= 0) {
+    scrollToContactForm();
+}
+
 // ========================================
-// 6. STORIA SECTION - IMAGE SLIDER
-// Automatic slider that cycles through 6 images every 8 seconds
-// Manual controls with arrow buttons and dots
+// DRAFT AUTOSAVE
+// Keep what the visitor typed across reloads until the request is delivered
 // ========================================
 
-const storiaSliderImages = document.querySelectorAll('.storia-slider-img');
-const sliderArrowLeft = document.querySelector('.slider-arrow-left');
-const sliderArrowRight = document.querySelector('.slider-arrow-right');
-const sliderDots = document.querySelectorAll('.slider-dot');
-let currentSlideIndex = 0;
-let sliderInterval;
+const DRAFT_STORAGE_KEY = 'balma-quote-draft';
+const DRAFT_MAX_AGE = 30 * 24 * 60 * 60 * 1000;  // Forget drafts after 30 days
+const draftNotice = document.getElementById('draftNotice');
 
-function updateSlider() {
-    // Update images
-    storiaSliderImages.forEach((img, index) => {
-        img.classList.toggle('active', index === currentSlideIndex);
-    });
+/**
+ * Save the filled-in fields to localStorage (Formspree settings like _subject excluded)
+ */
+function saveDraft() {
+    const fields = Array.from(new FormData(contactForm).entries())
+        .filter(([name, value]) => !name.startsWith('_') && String(value).trim() !== '');
     
-    // Update dots
-    sliderDots.forEach((dot, index) => {
-        dot.classList.toggle('active', index === currentSlideIndex);
-    });
+    try {
+        if (fields.length === 0) {
+            localStorage.removeItem(DRAFT_STORAGE_KEY);
+        } else {
+            localStorage.setItem(DRAFT_STORAGE_KEY, JSON.stringify({ savedAt: Date.now(), fields }));
+        }
+    } catch (error) {
+        // Storage unavailable or full: autosave is a convenience only
+    }
 }
 
-function showNextSlide() {
-    // Move to next image (loop back to 0 if at the end)
-    currentSlideIndex = (currentSlideIndex + 1) % storiaSliderImages.length;
-    updateSlider();
+/**
+ * @returns {Object|null} The saved draft ({ savedAt, fields }), or null
+ */
+function loadDraft() {
+    try {
+        const draft = JSON.parse(localStorage.getItem(DRAFT_STORAGE_KEY));
+        if (draft && Array.isArray(draft.fields) && Date.now() - draft.savedAt < DRAFT_MAX_AGE) {
+            return draft;
+        }
+    } catch (error) {
+        // Unreadable draft: treat as none
+    }
+    return null;
 }
 
-function showPrevSlide() {
-    // Move to previous image (loop to last if at the beginning)
-    currentSlideIndex = (currentSlideIndex - 1 + storiaSliderImages.length) % storiaSliderImages.length;
-    updateSlider();
+function clearDraft() {
+    try {
+        localStorage.removeItem(DRAFT_STORAGE_KEY);
+    } catch (error) {
+        // Nothing to clear
+    }
 }
 
-function goToSlide(index) {
-    currentSlideIndex = index;
-    updateSlider();
+/**
+ * Put a saved draft back into the form
+ * @param {Object} draft - Draft from loadDraft()
+ */
+function restoreDraft(draft) {
+    draft.fields.forEach(([name, value]) => {
+        if (name === 'eventDate') {
+            eventDatePicker.setValue(value);
+            return;
+        }
+        if (name === 'visitSlot') {
+            renderVisitSlots();  // The offered slots depend on the method restored before
+        }
+        const field = contactForm.elements[name];
+        if (field && field.type === 'checkbox') {
+            field.checked = true;  // Only ticked boxes are submitted, hence saved
+        } else if (field) {
+            field.value = value;
+        }
+    });
+    updateCapacityWarning();
+    updateEventDetails();
+    renderQuoteEstimate();
+    renderVisitSlots();
 }
 
-function resetSliderInterval() {
-    // Clear existing interval and start a new one
-    clearInterval(sliderInterval);
-    sliderInterval = setInterval(showNextSlide, 8000);
+function hideDraftNotice() {
+    draftNotice.hidden = true;
 }
 
-// Start the slider if images exist
-if (storiaSliderImages.length > 0) {
-    sliderInterval = setInterval(showNextSlide, 8000); // Change image every 8 seconds
-    
-    // Add click event listeners to arrow buttons
-    if (sliderArrowRight) {
-        sliderArrowRight.addEventListener('click', () => {
-            showNextSlide();
-            resetSliderInterval(); // Reset the auto-advance timer
-        });
-    }
+// Autosave while typing (and when the date picker changes the date)
+const saveDraftDebounced = debounce(saveDraft, 500);
+contactForm.addEventListener('input', saveDraftDebounced);
+contactForm.addEventListener('change', saveDraftDebounced);
+
+// Typing a new request without answering the notice replaces the old draft
+contactForm.addEventListener('input', hideDraftNotice);
+
+const savedDraft = loadDraft();
+if (savedDraft && draftNotice) {
+    draftNotice.hidden = false;
     
-    if (sliderArrowLeft) {
-        sliderArrowLeft.addEventListener('click', () => {
-            showPrevSlide();
-            resetSliderInterval(); // Reset the auto-advance timer
-        });
-    }
+    document.getElementById('draftRestore').addEventListener('click', () => {
+        restoreDraft(savedDraft);
+        hideDraftNotice();
+    });
     
-    // Add click event listeners to dots
-    sliderDots.forEach((dot, index) => {
-        dot.addEventListener('click', () => {
-            goToSlide(index);
-            resetSliderInterval(); // Reset the auto-advance timer
-        });
+    document.getElementById('draftDiscard').addEventListener('click', () => {
+        clearDraft();
+        hideDraftNotice();
     });
 }
 
 // ========================================
-// 7. LAZY LOADING IMAGES
-// Load images as they enter viewport for better performance
+// OFFLINE QUEUE
+// Requests that fail for lack of connectivity wait in an IndexedDB outbox
+// (outbox.js) and are sent by the service worker (Background Sync)
+// or, without it, by this page when the browser comes back online
 // ========================================
 
-const lazyImages = document.querySelectorAll('img[loading="lazy"]');
+const OUTBOX_NOTICE_DURATION = 8000;  // ms
+const outboxNotice = document.getElementById('outboxNotice');
 
-// Use Intersection Observer API for efficient lazy loading
-if ('IntersectionObserver' in window) {
-    const imageObserver = new IntersectionObserver((entries, observer) => {
-        entries.forEach(entry => {
-            if (entry.isIntersecting) {
-                const img = entry.target;
-                // Image will load automatically due to loading="lazy" attribute
-                observer.unobserve(img);
-            }
-        });
+let serviceWorkerRegistration = null;
+let outboxNoticeTimer = null;
+
+const serviceWorkerReady = 'serviceWorker' in navigator
+    ? navigator.serviceWorker.register('sw.js')
+        .then(registration => {
+            serviceWorkerRegistration = registration;
+        })
+        .catch(error => console.warn('Service worker registration failed:', error))
+    : Promise.resolve();
+
+if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.addEventListener('message', (e) => {
+        if (e.data && e.data.type === 'outbox-delivered') {
+            handleOutboxDelivered();
+        }
     });
-    
-    lazyImages.forEach(img => imageObserver.observe(img));
 }
 
-// ========================================
-// 8. FORM VALIDATION
-// Client-side validation for contact form
-// ========================================
+/**
+ * Queued requests went through: tell the visitor, and drop the draft they
+ * were typed in so the next visit does not offer to send them again
+ */
+function handleOutboxDelivered() {
+    clearDraft();
+    hideDraftNotice();
+
+    outboxNotice.textContent = t('popup.delivered');
+    clearTimeout(outboxNoticeTimer);
+    outboxNoticeTimer = setTimeout(() => {
+        outboxNotice.textContent = '';
+    }, OUTBOX_NOTICE_DURATION);
+}
 
-const contactForm = document.getElementById('contactForm');
-const thankYouPopup = document.getElementById('thankYouPopup');
-const popupClose = document.getElementById('popupClose');
+/**
+ * @returns {boolean} True if the service worker can deliver the outbox on its own
+ */
+function hasBackgroundSync() {
+    return Boolean(serviceWorkerRegistration && 'sync' in serviceWorkerRegistration);
+}
 
-contactForm.addEventListener('submit', async (e) => {
-    // Clear previous errors
-    const formGroups = contactForm.querySelectorAll('.form-group');
-    formGroups.forEach(group => group.classList.remove('error'));
-    
-    // Validate form
-    let isValid = true;
-    
-    // Name validation
-    const name = document.getElementById('name');
-    if (name.value.trim() === '') {
-        name.closest('.form-group').classList.add('error');
-        isValid = false;
-    }
-    
-    // Email validation
-    const email = document.getElementById('email');
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email.value.trim())) {
-        email.closest('.form-group').classList.add('error');
-        isValid = false;
-    }
-    
-    // Phone validation
-    const phone = document.getElementById('phone');
-    if (phone.value.trim() === '') {
-        phone.closest('.form-group').classList.add('error');
-        isValid = false;
+/**
+ * Ask the service worker to flush the outbox once the device is online
+ * @returns {Promise<boolean>} False if Background Sync is not available
+ */
+async function requestOutboxSync() {
+    if (!hasBackgroundSync()) {
+        return false;
     }
-    
-    // Event date validation
-    const eventDate = document.getElementById('eventDate');
-    if (eventDate.value === '') {
-        eventDate.closest('.form-group').classList.add('error');
-        isValid = false;
-    } else {
-        // Parse date based on current language
-        let selectedDate = null;
-        const dateValue = eventDate.value.trim();
-        
-        if (currentLang === 'it') {
-            // Format: dd/mm/yyyy
-            const dateRegex = /^(\d{2})\/(\d{2})\/(\d{4})$/;
-            const match = dateValue.match(dateRegex);
-            if (match) {
-                const day = parseInt(match[1], 10);
-                const month = parseInt(match[2], 10) - 1; // JS months are 0-indexed
-                const year = parseInt(match[3], 10);
-                selectedDate = new Date(year, month, day);
-                // Verify it's a valid date
-                if (selectedDate.getDate() !== day || selectedDate.getMonth() !== month || selectedDate.getFullYear() !== year) {
-                    selectedDate = null;
-                }
-            }
-        } else {
-            // Format: mm/dd/yyyy
-            const dateRegex = /^(\d{2})\/(\d{2})\/(\d{4})$/;
-            const match = dateValue.match(dateRegex);
-            if (match) {
-                const month = parseInt(match[1], 10) - 1; // JS months are 0-indexed
-                const day = parseInt(match[2], 10);
-                const year = parseInt(match[3], 10);
-                selectedDate = new Date(year, month, day);
-                // Verify it's a valid date
-                if (selectedDate.getDate() !== day || selectedDate.getMonth() !== month || selectedDate.getFullYear() !== year) {
-                    selectedDate = null;
-                }
-            }
-        }
-        
-        if (!selectedDate) {
-            eventDate.closest('.form-group').classList.add('error');
-            isValid = false;
-        } else {
-            // Check if date is at least 2 days from today
-            const today = new Date();
-            today.setHours(0, 0, 0, 0);
-            const minDate = new Date(today);
-            minDate.setDate(today.getDate() + 2);
-            
-            if (selectedDate < minDate) {
-                eventDate.closest('.form-group').classList.add('error');
-                isValid = false;
-            }
-        }
+    await serviceWorkerRegistration.sync.register(OUTBOX_SYNC_TAG);
+    return true;
+}
+
+/**
+ * Store the current form in the outbox and schedule its delivery
+ * @returns {Promise<boolean>} False if the request could not be stored
+ */
+async function queueContactForm() {
+    if (!('indexedDB' in window)) {
+        return false;
     }
     
-    // Guests validation
-    const guests = document.getElementById('guests');
-    if (guests.value === '' || guests.value < 1) {
-        guests.closest('.form-group').classList.add('error');
-        isValid = false;
+    try {
+        await addToOutbox(getFormEndpoint(), getContactFormData());
+        await requestOutboxSync().catch(error => {
+            console.warn('Background Sync unavailable, waiting for the online event:', error);
+        });
+        return true;
+    } catch (error) {
+        console.error('Could not queue the request:', error);
+        return false;
     }
-    
-    // Message validation
-    const message = document.getElementById('message');
-    if (message.value.trim() === '') {
-        message.closest('.form-group').classList.add('error');
-        isValid = false;
+}
+
+/**
+ * Deliver the outbox from the page (browsers without Background Sync)
+ */
+function flushOutboxFromPage() {
+    if (!('indexedDB' in window) || hasBackgroundSync() || !navigator.onLine) {
+        return;
     }
     
-    // If form is NOT valid, prevent submission
-    if (!isValid) {
-        e.preventDefault();
-        return false;
+    flushOutbox()
+        .then(delivered => {
+            if (delivered > 0) {
+                handleOutboxDelivered();
+            }
+        })
+        .catch(error => console.warn('Could not deliver queued requests:', error));
+}
+
+window.addEventListener('online', flushOutboxFromPage);
+
+// Requests may still be waiting from a previous visit
+serviceWorkerReady.then(() => {
+    if (hasBackgroundSync()) {
+        requestOutboxSync().catch(error => console.warn('Background Sync unavailable:', error));
+    } else {
+        flushOutboxFromPage();
     }
-    
-    // If valid, show popup before form submits
-    e.preventDefault();
-    showThankYouPopup();
-    
-    // Submit the form after showing popup
-    setTimeout(() => {
-        contactForm.submit();
-    }, 100);
 });
 
-function showThankYouPopup() {
-    thankYouPopup.classList.add('active');
-    
-    // Auto-close after 5 seconds
-    setTimeout(() => {
-        closeThankYouPopup();
-    }, 5000);
-}
+// ========================================
+// SPAM PROTECTION
+// The checks of spam.js run before anything is sent: a honeypot field,
+// a minimum fill time, a proof-of-work token and a per-browser rate limit.
+// They only stop bots that drive this page; Formspree does not check the token
+// ========================================
 
-function closeThankYouPopup() {
-    thankYouPopup.classList.remove('active');
-    contactForm.reset();
+const honeypotInput = document.getElementById('website');
+const powTokenInput = document.getElementById('powToken');
+
+// Set on the first interaction with the form
+let formStartedAt = null;
+let proofOfWork = null;
+
+/**
+ * Start the fill timer and solve the proof of work in the background,
+ * so the token is ready long before a person reaches the submit button
+ */
+function startSpamProtection() {
+    if (formStartedAt !== null) {
+        return;
+    }
+    formStartedAt = Date.now();
+    getProofOfWorkToken();
 }
 
-// Close popup on X click
-if (popupClose) {
-    popupClose.addEventListener('click', closeThankYouPopup);
+/**
+ * @returns {Promise<string>} Proof-of-work token, or '' where Web Crypto is unavailable (plain http)
+ */
+function getProofOfWorkToken() {
+    if (!proofOfWork) {
+        proofOfWork = window.crypto && crypto.subtle
+            ? solveProofOfWork(createChallenge(Date.now())).catch(error => {
+                console.warn('Proof of work failed:', error);
+                return '';
+            })
+            : Promise.resolve('');
+    }
+    return proofOfWork;
 }
 
-// Close popup on background click
-thankYouPopup.addEventListener('click', (e) => {
-    if (e.target === thankYouPopup) {
-        closeThankYouPopup();
+/**
+ * @returns {string|null} 'bot', 'rateLimited', or null if the submission may go ahead
+ */
+function checkSpam() {
+    const now = Date.now();
+    
+    if (isHoneypotFilled(honeypotInput.value) || isFilledTooFast(formStartedAt, now)) {
+        return 'bot';
     }
-});
+    if (!isWithinRateLimit(loadSubmissions(), now)) {
+        return 'rateLimited';
+    }
+    return null;
+}
 
-// Real-time validation on blur
-const formInputs = contactForm.querySelectorAll('input, textarea');
-formInputs.forEach(input => {
-    input.addEventListener('blur', () => {
-        validateField(input);
-    });
+contactForm.addEventListener('focusin', startSpamProtection);
+contactForm.addEventListener('input', startSpamProtection);
+
+// Each new request gets its own timer and token
+contactForm.addEventListener('reset', () => {
+    formStartedAt = null;
+    proofOfWork = null;
+    powTokenInput.value = '';
 });
 
+// ========================================
+// VENUE AVAILABILITY
+// Booked days from a static file grey out the date picker
+// and fill the month calendar in the contact section
+// ========================================
+
+// An .ics export (e.g. data/availability.ics) works here too
+const AVAILABILITY_URL = 'data/availability.json';
+const availabilitySection = document.getElementById('availability');
+const availabilityCalendarContainer = document.getElementById('availabilityCalendar');
+
 /**
- * Validate individual form field
- * @param {HTMLElement} field - Input or textarea element
+ * Labels of the availability calendar in the current language
+ * @returns {Object}
  */
-function validateField(field) {
-    const formGroup = field.closest('.form-group');
-    
-    if (field.hasAttribute('required')) {
-        if (field.value.trim() === '') {
-            formGroup.classList.add('error');
-        } else {
-            // Additional validation for specific fields
-            if (field.type === 'email') {
-                const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-                if (emailRegex.test(field.value.trim())) {
-                    formGroup.classList.remove('error');
-                } else {
-                    formGroup.classList.add('error');
-                }
-            } else if (field.type === 'number') {
-                if (field.value > 0) {
-                    formGroup.classList.remove('error');
-                } else {
-                    formGroup.classList.add('error');
-                }
-            } else {
-                formGroup.classList.remove('error');
+function getAvailabilityLabels() {
+    return {
+        previousMonth: t('datepicker.previousMonth'),
+        nextMonth: t('datepicker.nextMonth'),
+        available: t('availability.available'),
+        booked: t('availability.booked')
+    };
+}
+
+if (availabilitySection && availabilityCalendarContainer) {
+    loadAvailability(AVAILABILITY_URL)
+        .then(dates => {
+            // An empty list means the venue has not published its calendar yet:
+            // every date stays selectable and the calendar stays hidden
+            if (dates.size === 0) {
+                return;
             }
-        }
-    }
+            bookedDates = dates;
+            eventDatePicker.refresh();
+            
+            const config = getLanguageConfig(currentLang);
+            const availabilityCalendar = createAvailabilityCalendar(availabilityCalendarContainer, {
+                bookedDates,
+                locale: config.locale,
+                firstDayOfWeek: config.firstDayOfWeek,
+                labels: getAvailabilityLabels(),
+                getMinDate: getMinEventDate
+            });
+            availabilitySection.hidden = false;
+            
+            onLanguageChange(lang => {
+                const langConfig = getLanguageConfig(lang);
+                availabilityCalendar.setLocale(langConfig.locale, langConfig.firstDayOfWeek, getAvailabilityLabels());
+            });
+            
+            // A date picked before the data arrived may turn out to be booked
+            if (eventDatePicker.getValue()) {
+                contactValidator.validateField('eventDate');
+            }
+        })
+        .catch(error => {
+            // Without the file every date stays selectable
+            console.warn('Availability could not be loaded:', error);
+        });
 }
 
 // ========================================
@@ -762,19 +2512,6 @@ backToTopButton.addEventListener('mouseleave', () => {
     backToTopButton.style.transform = 'translateY(0)';
 });
 
-// ========================================
-// 11. PERFORMANCE OPTIMIZATION
-// Preload critical images
-// ========================================
-
-// Preload hero image and logo for faster initial display
-const heroImage = document.querySelector('.hero-image');
-if (heroImage) {
-    const heroSrc = getComputedStyle(heroImage).backgroundImage.slice(5, -2);
-    const img = new Image();
-    img.src = heroSrc;
-}
-
 // ========================================
 // INITIALIZATION
 // Code that runs when DOM is fully loaded
@@ -786,36 +2523,6 @@ document.addEventListener('DOMContentLoaded', () => {
     // Set initial body overflow for loading page
     document.body.style.overflow = 'hidden';
     
-    // Date input formatting
-    const eventDateInput = document.getElementById('eventDate');
-    if (eventDateInput) {
-        // Auto-format date input with slashes
-        eventDateInput.addEventListener('input', (e) => {
-            let value = e.target.value.replace(/\D/g, ''); // Remove non-digits
-            
-            if (value.length >= 2) {
-                value = value.slice(0, 2) + '/' + value.slice(2);
-            }
-            if (value.length >= 5) {
-                value = value.slice(0, 5) + '/' + value.slice(5, 9);
-            }
-            
-            e.target.value = value;
-        });
-        
-        // Update placeholder when language changes
-        const langButtons = document.querySelectorAll('.lang-btn');
-        langButtons.forEach(btn => {
-            btn.addEventListener('click', () => {
-                const lang = btn.getAttribute('data-lang');
-                const placeholder = eventDateInput.getAttribute(`data-${lang}-placeholder`);
-                if (placeholder) {
-                    eventDateInput.placeholder = placeholder;
-                }
-            });
-        });
-    }
-    
     // Add any additional initialization here
 });
 
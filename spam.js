@@ -0,0 +1,151 @@
+/* ========================================
+   BALMA LUXURY EVENT VENUE - SPAM PROTECTION
+   Description: Filters bots before the quote form is sent, without captchas:
+   honeypot field, minimum fill time, proof-of-work token and a local rate limit
+   Every check is a plain function of its inputs, so it runs without network
+   All of them run in the browser: they stop bots that run the page's script,
+   not ones posting straight to the form endpoint
+   ======================================== */
+
+const SPAM_MIN_FILL_TIME = 3000;              // ms between first interaction and submit
+const SPAM_RATE_LIMIT = 3;                    // submissions allowed...
+const SPAM_RATE_WINDOW = 60 * 60 * 1000;      // ...per hour, per browser
+const SPAM_RATE_STORAGE_KEY = 'balma-submissions';
+const POW_DIFFICULTY = 12;                    // leading zero bits: ~4000 hashes on average
+
+// ========================================
+// HONEYPOT AND FILL TIME
+// ========================================
+
+/**
+ * Bots fill every input they find, humans never see the honeypot
+ * @param {string} value - Value of the hidden field
+ * @returns {boolean} True if the submission looks automated
+ */
+function isHoneypotFilled(value) {
+    return String(value || '').trim() !== '';
+}
+
+/**
+ * @param {number|null} startedAt - Timestamp of the first interaction with the form, null if none
+ * @param {number} now - Submission timestamp
+ * @param {number} [minFillTime] - Shortest plausible time for a human, in ms
+ * @returns {boolean} True if the form was submitted faster than a person could fill it
+ */
+function isFilledTooFast(startedAt, now, minFillTime = SPAM_MIN_FILL_TIME) {
+    return startedAt === null || now - startedAt < minFillTime;
+}
+
+// ========================================
+// RATE LIMIT
+// Timestamps of recent submissions are kept in localStorage
+// ========================================
+
+/**
+ * @param {number[]} timestamps - Previous submissions
+ * @param {number} now
+ * @param {number} [windowMs] - Length of the window
+ * @returns {number[]} The timestamps still inside the window
+ */
+function pruneSubmissions(timestamps, now, windowMs = SPAM_RATE_WINDOW) {
+    return timestamps.filter(timestamp => now - timestamp < windowMs);
+}
+
+/**
+ * @param {number[]} timestamps - Previous submissions
+ * @param {number} now
+ * @param {number} [limit] - Submissions allowed in the window
+ * @param {number} [windowMs] - Length of the window
+ * @returns {boolean} True if another submission is allowed
+ */
+function isWithinRateLimit(timestamps, now, limit = SPAM_RATE_LIMIT, windowMs = SPAM_RATE_WINDOW) {
+    return pruneSubmissions(timestamps, now, windowMs).length < limit;
+}
+
+/**
+ * @param {Storage} [storage] - Defaults to localStorage
+ * @returns {number[]} Stored submission timestamps (empty if storage is unavailable)
+ */
+function loadSubmissions(storage = localStorage) {
+    try {
+        const timestamps = JSON.parse(storage.getItem(SPAM_RATE_STORAGE_KEY));
+        return Array.isArray(timestamps) ? timestamps.filter(Number.isFinite) : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+/**
+ * Remember a submission, dropping the ones outside the window
+ * @param {number} now
+ * @param {Storage} [storage] - Defaults to localStorage
+ */
+function recordSubmission(now, storage = localStorage) {
+    try {
+        const timestamps = pruneSubmissions(loadSubmissions(storage), now);
+        timestamps.push(now);
+        storage.setItem(SPAM_RATE_STORAGE_KEY, JSON.stringify(timestamps));
+    } catch (error) {
+        // Storage unavailable: the limit simply does not apply
+    }
+}
+
+// ========================================
+// PROOF OF WORK
+// Find a nonce so that SHA-256(challenge:nonce) starts with N zero bits.
+// Cheap once per visitor, costly for a bot submitting thousands of requests
+// through the page. The token is sent as _pow, but Formspree does not verify it
+// ========================================
+
+/**
+ * @param {string} text
+ * @returns {Promise<string>} SHA-256 digest as lowercase hex
+ */
+async function sha256Hex(text) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * @param {string} hex - Hash as hex
+ * @returns {number} Number of leading zero bits
+ */
+function countLeadingZeroBits(hex) {
+    let bits = 0;
+
+    for (const char of hex) {
+        const nibble = parseInt(char, 16);
+        if (nibble === 0) {
+            bits += 4;
+            continue;
+        }
+        // 1 -> 3 zero bits, 2-3 -> 2, 4-7 -> 1, 8-f -> 0
+        return bits + (3 - Math.floor(Math.log2(nibble)));
+    }
+
+    return bits;
+}
+
+/**
+ * New random challenge, prefixed with its creation time so stale tokens can be spotted
+ * @param {number} now
+ * @returns {string}
+ */
+function createChallenge(now) {
+    return `${now.toString(36)}.${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Search the nonce that satisfies the difficulty
+ * @param {string} challenge
+ * @param {number} [difficulty] - Leading zero bits required
+ * @param {Function} [hash] - async text => hex digest, defaults to SHA-256
+ * @returns {Promise<string>} Token in the form challenge:nonce
+ */
+async function solveProofOfWork(challenge, difficulty = POW_DIFFICULTY, hash = sha256Hex) {
+    for (let nonce = 0; ; nonce++) {
+        if (countLeadingZeroBits(await hash(`${challenge}:${nonce}`)) >= difficulty) {
+            return `${challenge}:${nonce}`;
+        }
+    }
+}
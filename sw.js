@@ -0,0 +1,40 @@
+/* ========================================
+   BALMA LUXURY EVENT VENUE - SERVICE WORKER
+   Description: Delivers queued quote requests in the background
+   when connectivity returns (Background Sync)
+   ======================================== */
+
+importScripts('outbox.js');
+
+// Take over right away: there is no cache to migrate
+self.addEventListener('install', () => {
+    self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(self.clients.claim());
+});
+
+// Fired by the browser once the device is back online
+self.addEventListener('sync', (event) => {
+    if (event.tag === OUTBOX_SYNC_TAG) {
+        event.waitUntil(flushAndNotify());
+    }
+});
+
+/**
+ * Send the outbox and tell open pages how many requests went through
+ * A rejected promise makes the browser retry the sync later
+ */
+async function flushAndNotify() {
+    const delivered = await flushOutbox();
+    const remaining = (await getOutboxEntries()).length;
+
+    if (delivered > 0) {
+        const clients = await self.clients.matchAll({ type: 'window' });
+        clients.forEach(client => client.postMessage({ type: 'outbox-delivered', delivered }));
+    }
+    if (remaining > 0) {
+        throw new Error(`${remaining} queued request(s) still pending`);
+    }
+}
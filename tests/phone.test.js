@@ -0,0 +1,75 @@
+/* ========================================
+   BALMA LUXURY EVENT VENUE - PHONE NUMBER TESTS
+   Description: Italian and international numbers through phone.js
+   Run with: npm test (Node 18 or later, no dependencies)
+   ======================================== */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// phone.js is a classic browser script: run it in a context of its own
+const context = vm.createContext({});
+vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'phone.js'), 'utf8'), context);
+const { normalizePhoneNumber, isValidPhoneNumber } = context;
+
+test('Italian mobile numbers', () => {
+    assert.equal(normalizePhoneNumber('338 787 9442'), '+393387879442');
+    assert.equal(normalizePhoneNumber('338.787.9442'), '+393387879442');
+    assert.equal(normalizePhoneNumber('3387879442'), '+393387879442');
+});
+
+test('Italian landlines keep their leading 0', () => {
+    assert.equal(normalizePhoneNumber('02 1234567'), '+39021234567');
+    assert.equal(normalizePhoneNumber('031-712345'), '+39031712345');
+    assert.equal(normalizePhoneNumber('06/12345678'), '+390612345678');
+});
+
+test('Italian numbers with an international prefix', () => {
+    assert.equal(normalizePhoneNumber('0039 338 787 9442'), '+393387879442');
+    assert.equal(normalizePhoneNumber('+39 338 787 9442'), '+393387879442');
+    assert.equal(normalizePhoneNumber('(+39) 338 787 9442'), '+393387879442');
+    assert.equal(normalizePhoneNumber('+39 02 1234567'), '+39021234567');
+});
+
+test('implausible numbers are rejected', () => {
+    assert.equal(normalizePhoneNumber('338 787'), null);
+    assert.equal(normalizePhoneNumber('338 ABC 9442'), null);
+    assert.equal(normalizePhoneNumber('+39 123 456 7890'), null);
+    assert.equal(normalizePhoneNumber('+39 338 787 94421'), null);
+    assert.equal(normalizePhoneNumber('+0 338 787 9442'), null);
+    assert.equal(normalizePhoneNumber(''), null);
+    assert.equal(isValidPhoneNumber('338 787'), false);
+});
+
+test('numbers with another calling code', () => {
+    assert.equal(normalizePhoneNumber('+44 20 7946 0958'), '+442079460958');
+    assert.equal(normalizePhoneNumber('0049 170 1234567'), '+491701234567');
+    assert.equal(normalizePhoneNumber('+1 (212) 555-0123'), '+12125550123');
+});
+
+test('numbers without a prefix are Italian on every page', () => {
+    // The page passes no calling code, whatever its language: an Italian
+    // mobile typed on the English page is still accepted
+    assert.equal(normalizePhoneNumber('338 787 9442'), '+393387879442');
+    assert.equal(isValidPhoneNumber('338 787 9442'), true);
+    assert.equal(isValidPhoneNumber('02 1234567'), true);
+    assert.equal(normalizePhoneNumber('+44 20 7946 0958'), '+442079460958');
+});
+
+test('another default calling code', () => {
+    // The trunk 0 is dropped outside Italy
+    assert.equal(normalizePhoneNumber('0170 1234567', '49'), '+491701234567');
+    assert.equal(normalizePhoneNumber('06 12 34 56 78', '33'), '+33612345678');
+    assert.equal(normalizePhoneNumber('+39 338 787 9442', '49'), '+393387879442');
+});
+
+test('without a default calling code the prefix is required', () => {
+    // A UK mobile typed on the English page must not become an Italian landline
+    assert.equal(normalizePhoneNumber('07700 900123', null), null);
+    assert.equal(normalizePhoneNumber('338 787 9442', null), null);
+    assert.equal(normalizePhoneNumber('+44 7700 900123', null), '+447700900123');
+    assert.equal(isValidPhoneNumber('0039 338 787 9442', null), true);
+});
@@ -0,0 +1,110 @@
+/* ========================================
+   BALMA LUXURY EVENT VENUE - SPAM PROTECTION TESTS
+   Description: The spam.js checks, without network or a browser
+   Run with: npm test (Node 18 or later, no dependencies)
+   ======================================== */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// spam.js is a classic browser script: run it in a context of its own,
+// with the Web Crypto API the proof of work hashes with
+const context = vm.createContext({ crypto: crypto.webcrypto, TextEncoder });
+vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'spam.js'), 'utf8'), context);
+const {
+    isHoneypotFilled,
+    isFilledTooFast,
+    pruneSubmissions,
+    isWithinRateLimit,
+    loadSubmissions,
+    recordSubmission,
+    countLeadingZeroBits,
+    solveProofOfWork
+} = context;
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * In-memory stand-in for localStorage
+ * @returns {Object}
+ */
+function createStorage() {
+    const items = new Map();
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value))
+    };
+}
+
+test('the honeypot only trips when filled in', () => {
+    assert.equal(isHoneypotFilled(''), false);
+    assert.equal(isHoneypotFilled('   '), false);
+    assert.equal(isHoneypotFilled(undefined), false);
+    assert.equal(isHoneypotFilled('http://spam.example'), true);
+});
+
+test('forms filled faster than a person could are flagged', () => {
+    assert.equal(isFilledTooFast(1000, 2000), true);
+    assert.equal(isFilledTooFast(1000, 4000), false);
+    assert.equal(isFilledTooFast(1000, 3999), true);
+    assert.equal(isFilledTooFast(1000, 1500, 500), false);
+    // Submitted without ever touching a field
+    assert.equal(isFilledTooFast(null, 10000), true);
+});
+
+test('the rate limit counts submissions inside the window', () => {
+    const now = 10 * HOUR;
+
+    assert.deepEqual([...pruneSubmissions([now - 2 * HOUR, now - HOUR, now - 1000], now)], [now - 1000]);
+    assert.equal(isWithinRateLimit([], now), true);
+    assert.equal(isWithinRateLimit([now - 3000, now - 2000], now), true);
+    assert.equal(isWithinRateLimit([now - 3000, now - 2000, now - 1000], now), false);
+    // Older submissions no longer count
+    assert.equal(isWithinRateLimit([now - 2 * HOUR, now - 2000, now - 1000], now), true);
+    assert.equal(isWithinRateLimit([now - 1000], now, 1), false);
+    assert.equal(isWithinRateLimit([now - 1000], now, 1, 500), true);
+});
+
+test('submissions are remembered in storage', () => {
+    const storage = createStorage();
+    const now = 10 * HOUR;
+
+    assert.deepEqual([...loadSubmissions(storage)], []);
+    recordSubmission(now - 2 * HOUR, storage);
+    recordSubmission(now, storage);
+    assert.deepEqual([...loadSubmissions(storage)], [now]);
+
+    storage.setItem('balma-submissions', 'not json');
+    assert.deepEqual([...loadSubmissions(storage)], []);
+});
+
+test('leading zero bits of a hex digest', () => {
+    assert.equal(countLeadingZeroBits('ffff'), 0);
+    assert.equal(countLeadingZeroBits('8000'), 0);
+    assert.equal(countLeadingZeroBits('7fff'), 1);
+    assert.equal(countLeadingZeroBits('3fff'), 2);
+    assert.equal(countLeadingZeroBits('1fff'), 3);
+    assert.equal(countLeadingZeroBits('0fff'), 4);
+    assert.equal(countLeadingZeroBits('001f'), 11);
+    assert.equal(countLeadingZeroBits('0000'), 16);
+});
+
+test('the proof of work finds a nonce that meets the difficulty', async () => {
+    const token = await solveProofOfWork('challenge', 8);
+    const [challenge, nonce] = token.split(':');
+    const digest = crypto.createHash('sha256').update(`${challenge}:${nonce}`).digest('hex');
+
+    assert.equal(challenge, 'challenge');
+    assert.match(nonce, /^\d+$/);
+    assert.ok(countLeadingZeroBits(digest) >= 8);
+});
+
+test('the proof of work takes the first nonce that qualifies', async () => {
+    // Stand-in hash: only nonce 3 yields a digest with 4 leading zero bits
+    const hash = async text => (text.endsWith(':3') ? '0fff' : 'ffff');
+    assert.equal(await solveProofOfWork('abc', 4, hash), 'abc:3');
+});
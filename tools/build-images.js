@@ -0,0 +1,329 @@
+/* ========================================
+   BALMA LUXURY EVENT VENUE - RESPONSIVE IMAGE BUILD
+   Description: Resizes the site photos to several widths in AVIF, WebP and
+   JPEG, with a tiny blurred placeholder for each, and writes data/images.json,
+   which script.js reads for the gallery and the blur-up effect
+   With --html it also rewrites the image markup of index.html from the
+   manifest: every <img> with a sizes attribute gets a <picture> and a srcset,
+   every inline background-image: url() an image-set() of the variants
+   Usage:
+     npm install
+     npm run build:images                 (images/ and data/images.json)
+     node tools/build-images.js --html    (the markup too, as on deploy)
+   The Pages workflow (.github/workflows/pages.yml) runs it with --html on every
+   deploy. Nothing it writes is committed: without it the site simply uses the
+   original files. Photos unchanged since the last run are not encoded again
+   ======================================== */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+const ROOT = path.resolve(__dirname, '..');
+const OUTPUT_DIR = 'images';
+const MANIFEST_PATH = path.join(ROOT, 'data', 'images.json');
+const HTML_PATH = path.join(ROOT, 'index.html');
+
+// Folders (and single files) whose photos get variants; src paths as used in the page
+const SOURCES = ['Gallery', 'Eventi', 'Pre-Post', 'Foto_Professionale_Clean.jpeg'];
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png'];
+
+const WIDTHS = [480, 960, 1600, 2400];
+const PLACEHOLDER_WIDTH = 24;
+
+// Smallest first in the manifest: browsers pick the first <source> they support
+const FORMATS = [
+    { name: 'avif', extension: 'avif', options: { quality: 50 } },
+    { name: 'webp', extension: 'webp', options: { quality: 72 } },
+    { name: 'jpeg', extension: 'jpg', options: { quality: 78, mozjpeg: true } }
+];
+
+// Widest variant for each screen density in a background image-set()
+const BACKGROUND_WIDTHS = { '1x': 1600, '2x': 2400 };
+
+// Changing any of these re-encodes every photo
+const BUILD_SETTINGS = JSON.stringify({ WIDTHS, PLACEHOLDER_WIDTH, FORMATS });
+
+/**
+ * List the source images, as paths relative to the site root
+ * @returns {string[]}
+ */
+function findSourceImages() {
+    return SOURCES.flatMap(source => {
+        const fullPath = path.join(ROOT, source);
+        if (!fs.existsSync(fullPath)) {
+            console.warn(`Skipping missing source: ${source}`);
+            return [];
+        }
+        if (fs.statSync(fullPath).isFile()) {
+            return [source];
+        }
+        return fs.readdirSync(fullPath)
+            .filter(name => IMAGE_EXTENSIONS.includes(path.extname(name).toLowerCase()))
+            .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+            .map(name => `${source}/${name}`);
+    });
+}
+
+/**
+ * @param {string} file - Path relative to the site root
+ * @returns {string} SHA-1 of the file content
+ */
+function hashFile(file) {
+    return crypto.createHash('sha1').update(fs.readFileSync(path.join(ROOT, file))).digest('hex');
+}
+
+/**
+ * Same photo committed twice under different names: worth cleaning up
+ * @param {Map<string, string>} hashes - Content hash by path
+ */
+function reportDuplicates(hashes) {
+    const byHash = new Map();
+
+    hashes.forEach((hash, file) => {
+        byHash.set(hash, [...(byHash.get(hash) || []), file]);
+    });
+    byHash.forEach(names => {
+        if (names.length > 1) {
+            console.warn(`Identical files: ${names.join(', ')}`);
+        }
+    });
+}
+
+/**
+ * Manifest of the previous run, if any
+ * @returns {Object} Entries by src
+ */
+function loadPreviousManifest() {
+    try {
+        return JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf8')).images || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * Parse a srcset string
+ * @param {string} srcset - e.g. "a-480.jpg 480w, a-960.jpg 960w"
+ * @returns {Object[]} Candidates { url, width }, narrowest first
+ */
+function parseSrcset(srcset) {
+    return srcset.split(',')
+        .map(candidate => {
+            const [url, descriptor] = candidate.trim().split(/\s+/);
+            return { url, width: parseInt(descriptor, 10) };
+        })
+        .sort((a, b) => a.width - b.width);
+}
+
+/**
+ * Whether an entry of the previous run still matches its photo and files
+ * @param {Object|undefined} entry - Manifest entry
+ * @param {string} buildHash - Hash of the photo and the build settings
+ * @returns {boolean}
+ */
+function isUpToDate(entry, buildHash) {
+    return Boolean(entry) && entry.buildHash === buildHash && Object.values(entry.sources)
+        .every(srcset => parseSrcset(srcset).every(candidate => fs.existsSync(path.join(ROOT, candidate.url))));
+}
+
+/**
+ * Output path of a variant, e.g. images/Gallery/1-960.avif
+ * @param {string} src - Source path relative to the site root
+ * @param {number} width
+ * @param {string} extension
+ * @returns {string}
+ */
+function getVariantPath(src, width, extension) {
+    const parsed = path.parse(src);
+    const name = parsed.name.replace(/\s+/g, '_');
+    return path.posix.join(OUTPUT_DIR, parsed.dir, `${name}-${width}.${extension}`);
+}
+
+/**
+ * Write every variant of one image
+ * @param {string} src - Source path relative to the site root
+ * @param {string} buildHash - Stored in the entry, to skip the photo next time
+ * @returns {Promise<Object>} Manifest entry
+ */
+async function buildImage(src, buildHash) {
+    // rotate() applies the EXIF orientation, so portrait phone photos stay upright
+    const image = sharp(path.join(ROOT, src)).rotate();
+    const { width, height } = await image.clone().toBuffer({ resolveWithObject: true }).then(result => result.info);
+
+    // Never upscale: narrower originals stop at their own width
+    const widths = [...new Set(WIDTHS.map(candidate => Math.min(candidate, width)))];
+    const sources = {};
+
+    for (const format of FORMATS) {
+        const entries = [];
+        for (const variantWidth of widths) {
+            const variantPath = getVariantPath(src, variantWidth, format.extension);
+            fs.mkdirSync(path.join(ROOT, path.dirname(variantPath)), { recursive: true });
+            await image.clone()
+                .resize({ width: variantWidth })
+                .toFormat(format.name, format.options)
+                .toFile(path.join(ROOT, variantPath));
+            entries.push(`${variantPath} ${variantWidth}w`);
+        }
+        sources[format.name] = entries.join(', ');
+    }
+
+    const placeholder = await image.clone()
+        .resize({ width: PLACEHOLDER_WIDTH })
+        .blur(1)
+        .jpeg({ quality: 50 })
+        .toBuffer();
+
+    return {
+        width,
+        height,
+        placeholder: `data:image/jpeg;base64,${placeholder.toString('base64')}`,
+        sources,
+        // Middle size for browsers that ignore srcset
+        fallback: getVariantPath(src, widths[Math.min(1, widths.length - 1)], 'jpg'),
+        buildHash
+    };
+}
+
+// ========================================
+// MARKUP
+// Rebuilt from scratch on every run, so it always matches the manifest
+// ========================================
+
+/**
+ * Turn <picture> blocks of an earlier run back into the plain <img> of the source
+ * @param {string} html
+ * @returns {string}
+ */
+function unwrapPictures(html) {
+    return html.replace(
+        /^([ \t]*)<picture class="responsive-picture" data-image="([^"]+)">[\s\S]*?(<img\s[^>]*>)[\s\S]*?<\/picture>/gm,
+        (block, indent, src, img) => indent + img
+            .replace(/\s(srcset|width|height)="[^"]*"/g, '')
+            .replace(/\ssrc="[^"]*"/, ` src="${src}"`)
+    );
+}
+
+/**
+ * Wrap every <img> that has a sizes attribute and variants in a <picture>
+ * @param {string} html - Without pictures from an earlier run
+ * @param {Object} images - Manifest entries by src
+ * @param {string} eol - Line ending of the file
+ * @returns {string}
+ */
+function writePictures(html, images, eol) {
+    return html.replace(/^([ \t]*)(<img\s[^>]*\ssizes="([^"]*)"[^>]*>)/gm, (line, indent, img, sizes) => {
+        const src = (/\ssrc="([^"]+)"/.exec(img) || [])[1];
+        const entry = images[src];
+        if (!entry) {
+            return line;
+        }
+
+        const sources = ['avif', 'webp']
+            .filter(format => entry.sources[format])
+            .map(format => `${indent}    <source type="image/${format}" srcset="${entry.sources[format]}" sizes="${sizes}">`);
+        const tag = img
+            .replace(` src="${src}"`, ` src="${entry.fallback}" srcset="${entry.sources.jpeg}"`)
+            .replace(` sizes="${sizes}"`, ` sizes="${sizes}" width="${entry.width}" height="${entry.height}"`);
+
+        return [
+            `${indent}<picture class="responsive-picture" data-image="${src}">`,
+            ...sources,
+            `${indent}    ${tag}`,
+            `${indent}</picture>`
+        ].join(eol);
+    });
+}
+
+/**
+ * image-set() of a photo's variants by format and screen density, over its placeholder
+ * @param {Object} entry - Manifest entry
+ * @returns {string}
+ */
+function buildImageSet(entry) {
+    const candidates = ['avif', 'webp', 'jpeg']
+        .filter(format => entry.sources[format])
+        .flatMap(format => {
+            const variants = parseSrcset(entry.sources[format]);
+            const urls = Object.entries(BACKGROUND_WIDTHS).map(([density, maxWidth]) => {
+                const fits = variants.filter(variant => variant.width <= maxWidth);
+                return { density, url: (fits[fits.length - 1] || variants[0]).url };
+            });
+            // A photo narrower than every density needs only its 1x candidate
+            return urls
+                .filter((candidate, index) => index === 0 || candidate.url !== urls[index - 1].url)
+                .map(candidate => `url('${candidate.url}') type('image/${format}') ${candidate.density}`);
+        });
+
+    // The placeholder is the bottom layer: visible until the variant has loaded
+    return `image-set(${candidates.join(', ')}), url('${entry.placeholder}')`;
+}
+
+/**
+ * Follow every inline background-image: url() with an image-set(); browsers
+ * without image-set() type() support ignore it and keep the url()
+ * @param {string} html
+ * @param {Object} images - Manifest entries by src
+ * @returns {string}
+ */
+function writeBackgrounds(html, images) {
+    return html.replace(/style="background-image: url\('([^']+)'\)[^"]*"/g, (attribute, src) => {
+        const entry = images[src];
+        if (!entry) {
+            return attribute;
+        }
+        return `style="background-image: url('${src}'); background-image: ${buildImageSet(entry)}"`;
+    });
+}
+
+/**
+ * Rewrite the image markup of index.html from the manifest
+ * @param {Object} images - Manifest entries by src
+ */
+function writeMarkup(images) {
+    const html = fs.readFileSync(HTML_PATH, 'utf8');
+    const eol = html.includes('\r\n') ? '\r\n' : '\n';
+    const updated = writeBackgrounds(writePictures(unwrapPictures(html), images, eol), images);
+
+    fs.writeFileSync(HTML_PATH, updated);
+    console.log(`Wrote the image markup of ${path.relative(ROOT, HTML_PATH)}`);
+}
+
+async function main() {
+    const files = findSourceImages();
+    const hashes = new Map(files.map(file => [file, hashFile(file)]));
+    const previous = loadPreviousManifest();
+    const images = {};
+    let encoded = 0;
+
+    reportDuplicates(hashes);
+
+    for (const src of files) {
+        const buildHash = crypto.createHash('sha1').update(hashes.get(src) + BUILD_SETTINGS).digest('hex');
+        if (isUpToDate(previous[src], buildHash)) {
+            images[src] = previous[src];
+            continue;
+        }
+        console.log(`${src}...`);
+        images[src] = await buildImage(src, buildHash);
+        encoded++;
+    }
+
+    const manifest = {
+        updated: new Date().toISOString().slice(0, 10),
+        images
+    };
+    fs.writeFileSync(MANIFEST_PATH, `${JSON.stringify(manifest, null, 4)}\n`);
+    console.log(`Encoded ${encoded} of ${files.length} images into ${OUTPUT_DIR}/, wrote ${path.relative(ROOT, MANIFEST_PATH)}`);
+
+    if (process.argv.includes('--html')) {
+        writeMarkup(images);
+    }
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
@@ -0,0 +1,95 @@
+/* ========================================
+   BALMA LUXURY EVENT VENUE - FORM STUB SERVER
+   Description: Serves the site locally with a fake Formspree endpoint,
+   to try the contact form success and failure paths without sending anything
+   Usage:
+     node tools/form-stub-server.js [port]
+     open http://localhost:8080/?formEndpoint=/stub/form
+     open http://localhost:8080/?formEndpoint=/stub/form?status=500
+   Query parameters of the stub:
+     status - HTTP status to answer with (default 200)
+     delay  - milliseconds to wait before answering (default 800)
+   ======================================== */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const PORT = Number(process.argv[2]) || 8080;
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.webmanifest': 'application/manifest+json',
+    '.ics': 'text/calendar; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.webp': 'image/webp',
+    '.avif': 'image/avif',
+    '.ico': 'image/x-icon',
+    '.svg': 'image/svg+xml'
+};
+
+/**
+ * Answer like Formspree does for Accept: application/json requests
+ */
+function handleStubForm(req, res, url) {
+    const status = Number(url.searchParams.get('status')) || 200;
+    const delay = Number(url.searchParams.get('delay') || 800);
+    let body = '';
+
+    req.on('data', chunk => {
+        body += chunk;
+    });
+    req.on('end', () => {
+        console.log(`[stub] ${req.method} ${url.pathname} -> ${status} (${body.length} bytes)`);
+        setTimeout(() => {
+            const payload = status < 300
+                ? { ok: true, next: '/thanks' }
+                : { errors: [{ message: `Stubbed failure (HTTP ${status})` }] };
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(payload));
+        }, delay);
+    });
+}
+
+/**
+ * Serve a file from the repository root
+ */
+function serveStatic(res, url) {
+    const relativePath = decodeURIComponent(url.pathname === '/' ? '/index.html' : url.pathname);
+    const filePath = path.join(ROOT, path.normalize(relativePath));
+
+    // Never serve anything outside the site folder
+    if (!filePath.startsWith(ROOT)) {
+        res.writeHead(403);
+        res.end();
+        return;
+    }
+
+    fs.readFile(filePath, (error, data) => {
+        if (error) {
+            res.writeHead(404);
+            res.end('Not found');
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream' });
+        res.end(data);
+    });
+}
+
+http.createServer((req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+
+    if (url.pathname === '/stub/form' && req.method === 'POST') {
+        handleStubForm(req, res, url);
+    } else {
+        serveStatic(res, url);
+    }
+}).listen(PORT, () => {
+    console.log(`BALMA site on http://localhost:${PORT}/ (form stub: POST /stub/form?status=200)`);
+});
@@ -0,0 +1,155 @@
+/* ========================================
+   BALMA LUXURY EVENT VENUE - VALIDATION
+   Description: Declarative form validation: each field lists its rules
+   and message keys once, the same schema runs on blur and on submit
+   ======================================== */
+
+// ========================================
+// RULES
+// A check receives the field value (string) and returns true when it passes
+// ========================================
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const VALIDATION_RULES = {
+    required: value => value.trim() !== '',
+    email: value => EMAIL_PATTERN.test(value.trim()),
+    /**
+     * @param {number} min - Smallest accepted number
+     */
+    min: min => value => value.trim() !== '' && Number(value) >= min
+};
+
+/**
+ * Run the rules of one field against a value
+ * @param {Object[]} rules - [{ check, message }]
+ * @param {string} value - Current field value
+ * @returns {string|null} Message key of the first failing rule, or null if valid
+ */
+function findFailingRule(rules, value) {
+    const failing = rules.find(rule => !rule.check(value));
+    return failing ? failing.message : null;
+}
+
+// ========================================
+// FORM VALIDATOR
+// ========================================
+
+/**
+ * Attach a validation schema to a form
+ *
+ * schema maps field ids to:
+ *   rules    - [{ check: value => boolean, message: 'translation.key' }], checked in order
+ *   getValue - optional, reads the value to check (defaults to the element value)
+ *   trigger  - optional, event that validates the field (default 'blur')
+ *
+ * Errors go to the .error-message span of the field's .form-group; while a field
+ * is invalid it carries aria-invalid and is described by that span
+ *
+ * @param {HTMLFormElement} form
+ * @param {Object} schema - Field definitions, keyed by element id
+ * @param {Object} options
+ * @param {Function} options.renderMessage - (element, key) shows a translated message
+ * @returns {Object} Validator API: validateField, validateAll, validateWithin, reset
+ */
+function createFormValidator(form, schema, options) {
+    const fields = Object.keys(schema).map(id => {
+        const element = document.getElementById(id);
+        const group = element.closest('.form-group');
+        const errorElement = group.querySelector('.error-message');
+
+        if (!errorElement.id) {
+            errorElement.id = `${id}-error`;
+        }
+
+        return { id, element, group, errorElement, ...schema[id] };
+    });
+
+    function setDescribedBy(field, invalid) {
+        const ids = (field.element.getAttribute('aria-describedby') || '')
+            .split(/\s+/)
+            .filter(token => token && token !== field.errorElement.id);
+
+        if (invalid) {
+            ids.push(field.errorElement.id);
+        }
+        if (ids.length > 0) {
+            field.element.setAttribute('aria-describedby', ids.join(' '));
+        } else {
+            field.element.removeAttribute('aria-describedby');
+        }
+    }
+
+    function showResult(field, messageKey) {
+        if (messageKey) {
+            options.renderMessage(field.errorElement, messageKey);
+            field.element.setAttribute('aria-invalid', 'true');
+        } else {
+            field.element.removeAttribute('aria-invalid');
+        }
+        field.group.classList.toggle('error', Boolean(messageKey));
+        setDescribedBy(field, Boolean(messageKey));
+    }
+
+    function runField(field) {
+        const value = field.getValue ? field.getValue() : field.element.value;
+        const messageKey = findFailingRule(field.rules, value || '');
+
+        showResult(field, messageKey);
+        return !messageKey;
+    }
+
+    fields.forEach(field => {
+        field.element.addEventListener(field.trigger || 'blur', () => runField(field));
+
+        // Once flagged, clear the error as soon as the input is fixed
+        field.element.addEventListener('input', () => {
+            if (field.group.classList.contains('error')) {
+                runField(field);
+            }
+        });
+    });
+
+    return {
+        /**
+         * @param {string} id - Field to check
+         * @returns {boolean} True if valid
+         */
+        validateField(id) {
+            const field = fields.find(candidate => candidate.id === id);
+            return field ? runField(field) : true;
+        },
+
+        /**
+         * Check every field
+         * @returns {HTMLElement|null} First invalid element in schema order, or null
+         */
+        validateAll() {
+            return this.validateWithin(form);
+        },
+
+        /**
+         * Check the fields inside part of the form, e.g. one wizard step
+         * @param {HTMLElement} container
+         * @returns {HTMLElement|null} First invalid element in schema order, or null
+         */
+        validateWithin(container) {
+            let firstInvalid = null;
+
+            fields.filter(field => container.contains(field.element)).forEach(field => {
+                if (!runField(field) && !firstInvalid) {
+                    firstInvalid = field.element;
+                }
+            });
+
+            return firstInvalid;
+        },
+
+        /**
+         * Clear all errors, e.g. after the form was reset
+         */
+        reset() {
+            fields.forEach(field => showResult(field, null));
+        }
+    };
+}
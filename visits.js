@@ -0,0 +1,100 @@
+/* ========================================
+   BALMA LUXURY EVENT VENUE - SITE VISITS
+   Description: Site visit (sopralluogo) slots from data/visit-slots.json
+   and the checks a chosen slot must pass
+   Only slots the venue has confirmed go in the file; without an upcoming one
+   the booking widget stays hidden
+   ======================================== */
+
+const VISIT_MIN_NOTICE_HOURS = 24;
+
+/**
+ * Read the slots file
+ * Each slot has an ISO start with its UTC offset, the contact methods it
+ * allows ('inPerson', 'call') and optionally "taken": true
+ * @param {Object} data - Parsed JSON
+ * @returns {Object[]} Slots sorted by start: { id, start, end, methods, taken }
+ */
+function parseVisitSlots(data) {
+    const duration = (data.durationMinutes || 45) * 60 * 1000;
+
+    return (data.slots || [])
+        .map(slot => {
+            const start = new Date(slot.start);
+            if (Number.isNaN(start.getTime())) {
+                console.warn('Ignoring invalid visit slot:', slot);
+                return null;
+            }
+            return {
+                id: slot.start,
+                start,
+                end: new Date(start.getTime() + duration),
+                methods: slot.methods || ['inPerson', 'call'],
+                taken: Boolean(slot.taken)
+            };
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Whether a visitor can still book any of the slots
+ * @param {Object[]} slots - Slots from parseVisitSlots()
+ * @param {Date} now
+ * @returns {boolean}
+ */
+function hasBookableVisitSlot(slots, now) {
+    return slots.some(slot => !slot.taken && slot.start - now >= VISIT_MIN_NOTICE_HOURS * 60 * 60 * 1000);
+}
+
+/**
+ * Fetch and parse the slots file
+ * @param {string} url - Path to visit-slots.json
+ * @returns {Promise<Object>} { timeZone, slots }
+ */
+async function loadVisitSlots(url) {
+    const data = await fetchJSON(url);
+    return { timeZone: data.timeZone || 'Europe/Rome', slots: parseVisitSlots(data) };
+}
+
+/**
+ * Calendar day of an instant at the venue
+ * @param {Date} date
+ * @param {string} timeZone - IANA zone of the venue
+ * @returns {string} ISO date (yyyy-mm-dd)
+ */
+function getVenueISODate(date, timeZone) {
+    // en-CA formats dates as yyyy-mm-dd
+    return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(date);
+}
+
+/**
+ * Check a slot against the visitor's choices and the venue calendar
+ * @param {Object|undefined} slot - Slot from parseVisitSlots(), undefined if unknown
+ * @param {Object} context
+ * @param {string} context.method - 'inPerson' or 'call'
+ * @param {Date} context.now
+ * @param {string} context.timeZone - IANA zone of the venue
+ * @param {Set<string>} [context.bookedDates] - ISO days the venue hosts an event
+ * @param {string} [context.eventDate] - ISO date of the event, if chosen
+ * @returns {string|null} 'unavailable', 'tooSoon', 'venueBusy', 'afterEvent', or null if the slot works
+ */
+function getVisitConflict(slot, context) {
+    if (!slot || slot.taken || !slot.methods.includes(context.method)) {
+        return 'unavailable';
+    }
+    if (slot.start - context.now < VISIT_MIN_NOTICE_HOURS * 60 * 60 * 1000) {
+        return 'tooSoon';
+    }
+
+    const day = getVenueISODate(slot.start, context.timeZone);
+
+    // Nobody can tour the rooms while another event is being held there
+    if (context.method === 'inPerson' && context.bookedDates && context.bookedDates.has(day)) {
+        return 'venueBusy';
+    }
+    if (context.eventDate && day > context.eventDate) {
+        return 'afterEvent';
+    }
+    return null;
+}